@@ -12,15 +12,22 @@
  *
  * Key Features:
  * - LRU Cache with TTL (stale-safe content management)
+ * - Stale-while-revalidate mode with ETag / Last-Modified revalidation
+ * - Server cache directives (no-store, max-age, tags) & tag invalidation
+ * - Fragment responses (server returns only the container markup)
  * - Abortable fetch requests (AbortController)
  * - Retry logic with exponential backoff
  * - Memory leak prevention & full lifecycle cleanup
  * - Device-aware animations (adaptive UX)
- * - Chart.js automatic instance cleanup
+ * - Pluggable transitions with View Transitions API support
+ * - Component cleanup registry (Chart.js adapter built in, scoped timers/listeners)
  * - External script deduplication
+ * - <head> reconciliation (stylesheets, head scripts, meta, html/body attributes)
  * - ES Module & dynamic script support
  * - Offline / Online detection
+ * - Persistent offline page cache (Cache Storage) with offline fallback
  * - Performance & navigation metrics
+ * - Route table with per-route mount/unmount hooks
  * - Graceful fallback to full page reload
  *
  * Security & CSP Notes:
@@ -30,6 +37,10 @@
  * - Does NOT require 'unsafe-eval'
  * - Inline scripts still require 'unsafe-inline' or nonce/hash
  *   in the script-src directive
+ * - Injected scripts and styles carry the page's CSP nonce
+ *   (<meta name="csp-nonce">, any script[nonce], or CSP_NONCE)
+ * - Optional Trusted Types policy for HTML parsing/insertion and
+ *   script text (TRUSTED_TYPES_POLICY)
  *
  * Design Philosophy:
  * - Framework-agnostic
@@ -56,11 +67,120 @@
         CACHE_MAX_SIZE: 5,
         CACHE_TTL_MS: 5 * 60 * 1000,  // 5 minutes
         
+        // Cache mode: 'ttl' serves entries until CACHE_TTL_MS, then refetches;
+        // 'swr' serves any entry younger than CACHE_STALE_MAX_MS immediately
+        // and revalidates it in the background (conditional request)
+        CACHE_MODE: 'ttl',
+        CACHE_STALE_MAX_MS: 60 * 60 * 1000,  // 1 hour
+        
+        // Query parameter added to GET requests so the browser HTTP cache never
+        // serves an SPA response for a full page load (null to disable)
+        CACHE_BUST_PARAM: '_spa',
+        
+        // Persistent tier (Cache Storage) - keeps visited pages across reloads
+        // and serves them when offline. Opt-in.
+        PERSISTENT_CACHE: false,
+        PERSISTENT_CACHE_NAME: 'aegis-spa-pages',
+        PERSISTENT_CACHE_MAX_ENTRIES: 30,
+        PERSISTENT_CACHE_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,  // 7 days
+        
+        // Offline fallback: a page fetched ahead of time (e.g. '/offline'),
+        // or container markup rendered as-is
+        OFFLINE_PAGE: null,
+        OFFLINE_HTML: null,
+        STALE_INDICATOR_TEXT: 'Offline - showing a saved copy',
+        
+        // Prefetch trigger for links without data-spa-prefetch:
+        // 'hover' | 'viewport' | 'touchstart' | 'idle' | 'none'.
+        // Applies to PREFETCH_SELECTOR (default: nav items); any link can opt
+        // in or out with data-spa-prefetch. Backs off on Save-Data, 2G,
+        // hidden tabs and low-capability devices
+        PREFETCH: 'hover',
+        PREFETCH_SELECTOR: null,
+        
+        // Loading feedback, shown only once a navigation takes longer than
+        // LOADING_DELAY_MS: top progress bar, aria-busy on the container and
+        // skeletons from <template data-spa-skeleton="/path-prefix">
+        LOADING_DELAY_MS: 200,
+        PROGRESS_BAR: true,
+        PROGRESS_BAR_COLOR: '#3b82f6',
+        LOADING_ARIA_BUSY: true,
+        LOADING_SKELETONS: true,
+        
+        // Accessibility: after a navigation focus [data-spa-focus] or the first
+        // heading of the new content, announce document.title through an
+        // aria-live region, and on back/forward re-focus the element that
+        // started the navigation
+        FOCUS_ON_NAVIGATE: true,
+        FOCUS_HEADING_SELECTOR: 'h1, h2, h3, h4, h5, h6',
+        ANNOUNCE_TITLE: true,
+        RESTORE_FOCUS: true,
+        
+        // Navigation timing: phases are recorded as performance.mark/measure
+        // entries ('spa:fetch', 'spa:parse'...) and summarized per route
+        // pattern over the last TIMING_SAMPLE_SIZE navigations
+        PERFORMANCE_MARKS: true,
+        TIMING_SAMPLE_SIZE: 50,
+        
+        // Opt-in telemetry: errors, full-reload fallbacks, timings and script
+        // errors, sent in batches on pagehide/hidden tab. Query strings are
+        // left out unless includeQuery.
+        // { url, transport, sampleRate, batchSize, bufferSize, includeQuery }
+        TELEMETRY: null,
+        
         // Timing
         PREFETCH_DELAY_MS: 150,
         ANIMATION_DURATION_MS: 150,
         FETCH_TIMEOUT_MS: 10000,
         
+        // Background requests (prefetch, revalidation) allowed in flight at
+        // once; they also wait while a navigation request is pending
+        PREFETCH_CONCURRENCY: 2,
+        
+        // Redirects requested through the X-SPA-Location response header
+        MAX_REDIRECTS: 5,
+        
+        // Failed navigations, per status: exact status, class ('4xx', '5xx'),
+        // then 'default' (also used for network errors and timeouts).
+        //   'render'   - show the server's error page in place, URL pushed
+        //   'reload'   - full page load of the URL
+        //   'emit'     - spa:error only, stay on the current page
+        //   { action: 'redirect', url: '/login' }
+        ERROR_POLICIES: { '4xx': 'render', '5xx': 'render', default: 'reload' },
+        
+        // Custom error markup for 'render': ({ status, path, error, page }) =>
+        // container HTML, or null for the server's page
+        ERROR_TEMPLATE: null,
+        
+        // Extra request headers: { name: value | ({ path, method }) => value },
+        // or ({ path, method }) => ({ ...headers }). Empty values are skipped
+        REQUEST_HEADERS: null,
+        
+        // CSRF: the token in <meta name=CSRF_META_NAME> is refreshed from every
+        // response (CSRF_HEADER response header or the page's meta tag) and
+        // sent on unsafe methods as CSRF_HEADER; a CSRF_FIELD already in the
+        // form body is updated as well. null disables
+        CSRF_META_NAME: 'csrf-token',
+        CSRF_HEADER: 'X-CSRF-TOKEN',
+        CSRF_FIELD: '_token',
+        
+        // Expired session, recognised by status, a redirect to loginUrl or a
+        // marker (string or RegExp) in the page body - takes precedence over
+        // ERROR_POLICIES:
+        // { statuses: [401, 419], marker, loginUrl, redirectParam: 'redirect',
+        //   onExpired: ({ path, status, type }) => Promise<boolean|string> }
+        // onExpired resolving true (re-authenticated) replays the navigation,
+        // once; resolving the new CSRF token (a string) also replaces the
+        // stale one before a form is resubmitted. false stays on the current
+        // page (a back/forward step is undone). Without it, or when the replay
+        // expires again, loginUrl is loaded with the page to return to in
+        // redirectParam
+        SESSION_EXPIRY: null,
+        
+        // Advertise fragment support (X-SPA-Accept-Fragment request header);
+        // fragment responses are recognised by the X-SPA-Fragment response header
+        FRAGMENT_RESPONSES: true,
+        
         // Retry settings
         MAX_RETRIES: 2,
         RETRY_BASE_DELAY_MS: 1000,
@@ -74,6 +194,49 @@
         FORBIDDEN_PATH_PREFIXES: ['/api/', '/logout'],
         FORBIDDEN_EXACT_PATHS: ['/api', '/logout'],
         
+        // Glob ('/files/**', '**.pdf'), RegExp or (path, url) => boolean rules.
+        // ALLOWLIST takes the same forms and overrides every forbidden rule
+        FORBIDDEN_PATTERNS: [],
+        ALLOWLIST: [],
+        
+        // Only URLs under this path are handled (e.g. '/admin/' for an app
+        // mounted there). Hrefs resolve against <base>/location, so
+        // same-origin absolute URLs are routed as well
+        BASE_PATH: '/',
+        
+        // Transitions: 'none' | 'fade' | 'slide' | a name given to registerTransition()
+        // Per link/form: data-spa-transition="slide". Back navigations use
+        // TRANSITION_BACK when set. Built-in presets use the View Transitions API
+        // when the browser supports it
+        TRANSITION: 'fade',
+        TRANSITION_BACK: null,
+        VIEW_TRANSITIONS: true,
+        
+        // Scroll restoration (saved per history entry, restored on back/forward)
+        SCROLL_RESTORATION: true,
+        SCROLL_CONTAINERS: ['.flex-1.overflow-y-auto'],
+        SCROLL_SAVE_DELAY_MS: 100,
+        
+        // Head reconciliation
+        // New stylesheets are awaited (up to the timeout) before the swap;
+        // stylesheets marked data-spa-track are removed when a page lacks them
+        STYLESHEET_TIMEOUT_MS: 3000,
+        SYNC_HTML_ATTRIBUTES: ['lang', 'dir', 'class'],
+        SYNC_BODY_ATTRIBUTES: ['class'],
+        // <meta name> never changed or removed by a navigation: tokens and
+        // page-level settings that belong to the running document
+        PRESERVED_META: ['csrf-token', 'viewport'],
+        
+        // Forms (GET becomes navigation, other methods are fetched and rendered)
+        // Opt out per form or submit button with data-spa="false"
+        HANDLE_FORMS: true,
+        
+        // CSP: nonce for injected scripts/styles (null = detect from the page)
+        // Trusted Types: policy name to create (pass-through policy for
+        // same-origin server HTML) or a TrustedTypePolicy object of your own
+        CSP_NONCE: null,
+        TRUSTED_TYPES_POLICY: null,
+        
         // Debug mode (set to true for detailed error info)
         DEBUG: false,
         
@@ -81,13 +244,24 @@
         EVENTS: Object.freeze({
             BEFORE_NAVIGATE: 'spa:beforeNavigate',
             AFTER_NAVIGATE: 'spa:afterNavigate',
+            NAVIGATION_CANCELLED: 'spa:navigationCancelled',
+            NAVIGATION_TIMING: 'spa:navigationTiming',
             CONTENT_LOADED: 'spa:contentLoaded',
             ERROR: 'spa:error',
             CACHE_HIT: 'spa:cacheHit',
             CACHE_MISS: 'spa:cacheMiss',
             CACHE_CLEARED: 'spa:cacheCleared',
+            CACHE_INVALIDATED: 'spa:cacheInvalidated',
+            CONTENT_REVALIDATED: 'spa:contentRevalidated',
+            LOADING_SHOW: 'spa:loadingShow',
+            LOADING_HIDE: 'spa:loadingHide',
             PREFETCH_START: 'spa:prefetchStart',
             PREFETCH_COMPLETE: 'spa:prefetchComplete',
+            REDIRECT: 'spa:redirect',
+            SESSION_EXPIRED: 'spa:sessionExpired',
+            STALE_CONTENT: 'spa:staleContent',
+            OFFLINE_FALLBACK: 'spa:offlineFallback',
+            CSP_VIOLATION: 'spa:cspViolation',
             ONLINE: 'spa:online',
             OFFLINE: 'spa:offline'
         })
@@ -100,6 +274,7 @@
     /**
      * LRU Cache with TTL support
      * Efficient memory management with automatic eviction
+     * Entries may carry their own TTL (server max-age)
      */
     class LRUCache {
         constructor(maxSize, ttlMs) {
@@ -107,14 +282,14 @@
             this._ttlMs = ttlMs;
             this._cache = new Map();
             this._timestamps = new Map();
+            this._ttls = new Map();
         }
 
         get(key) {
             if (!this._cache.has(key)) return null;
             
             // Check freshness
-            const timestamp = this._timestamps.get(key);
-            if (Date.now() - timestamp > this._ttlMs) {
+            if (this._isExpired(key)) {
                 this.delete(key);
                 return null;
             }
@@ -127,7 +302,7 @@
             return value;
         }
 
-        set(key, value) {
+        set(key, value, ttlMs = null) {
             // Delete if exists (to update position)
             if (this._cache.has(key)) {
                 this._cache.delete(key);
@@ -140,13 +315,17 @@
             
             this._cache.set(key, value);
             this._timestamps.set(key, Date.now());
+            if (ttlMs !== null) {
+                this._ttls.set(key, ttlMs);
+            } else {
+                this._ttls.delete(key);
+            }
         }
 
         has(key) {
             if (!this._cache.has(key)) return false;
             
-            const timestamp = this._timestamps.get(key);
-            if (Date.now() - timestamp > this._ttlMs) {
+            if (this._isExpired(key)) {
                 this.delete(key);
                 return false;
             }
@@ -157,11 +336,31 @@
         delete(key) {
             this._cache.delete(key);
             this._timestamps.delete(key);
+            this._ttls.delete(key);
+        }
+
+        /**
+         * Delete every entry matching predicate(key, value)
+         * @returns {string[]} Deleted keys
+         */
+        deleteWhere(predicate) {
+            const deleted = [];
+            for (const [key, value] of this._cache) {
+                if (predicate(key, value)) deleted.push(key);
+            }
+            deleted.forEach(key => this.delete(key));
+            return deleted;
         }
 
         clear() {
             this._cache.clear();
             this._timestamps.clear();
+            this._ttls.clear();
+        }
+
+        _isExpired(key) {
+            const ttlMs = this._ttls.has(key) ? this._ttls.get(key) : this._ttlMs;
+            return Date.now() - this._timestamps.get(key) > ttlMs;
         }
 
         get size() {
@@ -177,6 +376,378 @@
         }
     }
 
+    /**
+     * Cache Policy
+     * Parses server cache directives, sent as the X-SPA-Cache header or
+     * <meta name="spa-cache" content="...">:
+     *
+     *   no-store
+     *   max-age=120; tags=orders,customer:42
+     *
+     * and invalidation lists, sent as the X-SPA-Invalidate header:
+     *
+     *   tag=orders, prefix=/orders/, path=/dashboard
+     *   (a bare entry is a tag)
+     */
+    class CachePolicy {
+        static parse(value) {
+            const policy = { noStore: false, maxAgeMs: null, tags: [] };
+            if (!value) return policy;
+            
+            for (const part of value.split(';')) {
+                const [name, ...rest] = part.split('=');
+                const directive = name.trim().toLowerCase();
+                const arg = rest.join('=').trim();
+                
+                if (directive === 'no-store') {
+                    policy.noStore = true;
+                } else if (directive === 'max-age') {
+                    const seconds = parseInt(arg, 10);
+                    if (!isNaN(seconds)) policy.maxAgeMs = seconds * 1000;
+                } else if (directive === 'tags') {
+                    policy.tags = arg.split(',').map(tag => tag.trim()).filter(Boolean);
+                }
+            }
+            
+            if (policy.maxAgeMs === 0) policy.noStore = true;
+            
+            return policy;
+        }
+
+        static parseInvalidation(value) {
+            const criteria = { path: [], prefix: [], tag: [] };
+            if (!value) return criteria;
+            
+            for (const item of value.split(',')) {
+                const entry = item.trim();
+                if (!entry) continue;
+                
+                const separator = entry.indexOf('=');
+                const kind = separator > 0 ? entry.slice(0, separator).trim().toLowerCase() : 'tag';
+                const target = separator > 0 ? entry.slice(separator + 1).trim() : entry;
+                
+                if (Array.isArray(criteria[kind]) && target) criteria[kind].push(target);
+            }
+            
+            return criteria;
+        }
+
+        /**
+         * Build a predicate (key, tags) => boolean from invalidation criteria.
+         * Paths match ignoring the query string; criteria are OR-ed
+         */
+        static matcher({ path, prefix, tag } = {}) {
+            const paths = [].concat(path || []);
+            const prefixes = [].concat(prefix || []);
+            const tags = [].concat(tag || []);
+            
+            return (key, keyTags = []) => {
+                const pathname = key.split(/[?#]/)[0];
+                return paths.includes(pathname) ||
+                       prefixes.some(p => key.startsWith(p)) ||
+                       tags.some(t => keyTags.includes(t));
+            };
+        }
+    }
+
+    /**
+     * Persistent page cache backed by Cache Storage
+     * Survives reloads; bounded by entry count and age.
+     * Page info (tags, fragment, title, meta) is kept in a response header.
+     * All methods fail soft (resolve null/false) when storage is unavailable.
+     */
+    class PersistentCache {
+        constructor(name, maxEntries, maxAgeMs) {
+            this._name = name;
+            this._maxEntries = maxEntries;
+            this._maxAgeMs = maxAgeMs;
+            this._opening = null;
+        }
+
+        static get isSupported() {
+            return typeof caches !== 'undefined';
+        }
+
+        async get(key) {
+            try {
+                const cache = await this._open();
+                const request = this._request(key);
+                const response = await cache.match(request);
+                if (!response) return null;
+                
+                const cachedAt = Number(response.headers.get('X-SPA-Cached-At')) || 0;
+                if (Date.now() - cachedAt > this._maxAgeMs) {
+                    await cache.delete(request);
+                    return null;
+                }
+                
+                return {
+                    ...PersistentCache._readInfo(response),
+                    html: await response.text(),
+                    cachedAt
+                };
+            } catch {
+                return null;
+            }
+        }
+
+        async set(key, html, info = {}) {
+            try {
+                const cache = await this._open();
+                const request = this._request(key);
+                
+                // Re-insert so insertion order stays least-recently-stored first
+                await cache.delete(request);
+                await cache.put(request, new Response(html, {
+                    headers: {
+                        'Content-Type': 'text/html; charset=utf-8',
+                        'X-SPA-Cached-At': String(Date.now()),
+                        'X-SPA-Page-Info': encodeURIComponent(JSON.stringify(info))
+                    }
+                }));
+                
+                await this._evict(cache);
+                return true;
+            } catch {
+                return false;
+            }
+        }
+
+        async delete(key) {
+            try {
+                const cache = await this._open();
+                return await cache.delete(this._request(key));
+            } catch {
+                return false;
+            }
+        }
+
+        /**
+         * Delete every entry matching predicate(key, tags)
+         */
+        async deleteWhere(predicate) {
+            try {
+                const cache = await this._open();
+                for (const request of await cache.keys()) {
+                    const response = await cache.match(request);
+                    const { tags = [] } = response ? PersistentCache._readInfo(response) : {};
+                    const url = new URL(request.url);
+                    
+                    if (predicate(url.pathname + url.search, tags)) {
+                        await cache.delete(request);
+                    }
+                }
+            } catch {
+                // Storage unavailable - nothing to delete
+            }
+        }
+
+        async keys() {
+            try {
+                const cache = await this._open();
+                const requests = await cache.keys();
+                return requests.map(request => {
+                    const url = new URL(request.url);
+                    return url.pathname + url.search;
+                });
+            } catch {
+                return [];
+            }
+        }
+
+        async clear() {
+            this._opening = null;
+            try {
+                return await caches.delete(this._name);
+            } catch {
+                return false;
+            }
+        }
+
+        async _evict(cache) {
+            const requests = await cache.keys();
+            const excess = requests.length - this._maxEntries;
+            for (let i = 0; i < excess; i++) {
+                await cache.delete(requests[i]);
+            }
+        }
+
+        _open() {
+            if (!this._opening) {
+                this._opening = caches.open(this._name);
+            }
+            return this._opening;
+        }
+
+        _request(key) {
+            return new Request(new URL(key, location.origin).href);
+        }
+
+        static _readInfo(response) {
+            try {
+                return JSON.parse(decodeURIComponent(response.headers.get('X-SPA-Page-Info') || '')) || {};
+            } catch {
+                return {};
+            }
+        }
+    }
+
+    /**
+     * Request Scheduler
+     * - One AbortController per request (no shared controller)
+     * - Identical in-flight requests are shared: a navigation reuses a
+     *   pending prefetch instead of fetching again
+     * - Navigation requests start at once; prefetches are capped and
+     *   queued behind them
+     * A shared request is only aborted once every consumer has aborted.
+     */
+    class RequestScheduler {
+        constructor(options = {}) {
+            this._prefetchConcurrency = options.prefetchConcurrency ?? 2;
+            this._inflight = new Map();
+            this._queue = [];
+            this._active = { navigation: 0, prefetch: 0 };
+        }
+
+        /**
+         * @param {string|null} key - Dedupe key (null = never shared)
+         * @param {Function} run - (signal) => Promise
+         * @param {Object} [options]
+         * @param {string} [options.priority] - 'navigation' | 'prefetch'
+         * @param {AbortSignal} [options.signal] - Aborts this consumer only
+         * @returns {Promise}
+         */
+        schedule(key, run, { priority = 'navigation', signal = null } = {}) {
+            let request = key !== null ? this._inflight.get(key) : null;
+            
+            if (!request) {
+                request = this._create(key, run, priority);
+            } else if (priority === 'navigation' && request.priority === 'prefetch') {
+                this._promote(request);
+            }
+            
+            return this._consume(request, signal);
+        }
+
+        get pending() {
+            return this._inflight.size + this._queue.length;
+        }
+
+        cancelAll() {
+            for (const request of this._queue) {
+                request.reject(new DOMException('Request cancelled', 'AbortError'));
+            }
+            this._queue = [];
+            
+            for (const request of this._inflight.values()) {
+                request.controller.abort();
+            }
+            this._inflight.clear();
+        }
+
+        _create(key, run, priority) {
+            const request = {
+                key,
+                run,
+                priority,
+                controller: new AbortController(),
+                consumers: 0,
+                started: false
+            };
+            request.promise = new Promise((resolve, reject) => {
+                request.resolve = resolve;
+                request.reject = reject;
+            });
+            
+            if (key !== null) this._inflight.set(key, request);
+            
+            if (priority === 'navigation' || this._canStartPrefetch()) {
+                this._start(request);
+            } else {
+                this._queue.push(request);
+            }
+            return request;
+        }
+
+        _start(request) {
+            request.started = true;
+            this._active[request.priority]++;
+            
+            request.run(request.controller.signal)
+                .then(request.resolve, request.reject)
+                .finally(() => {
+                    this._active[request.priority]--;
+                    if (this._inflight.get(request.key) === request) {
+                        this._inflight.delete(request.key);
+                    }
+                    this._drain();
+                });
+        }
+
+        _promote(request) {
+            if (request.started) {
+                this._active.prefetch--;
+                this._active.navigation++;
+                request.priority = 'navigation';
+                return;
+            }
+            
+            this._queue.splice(this._queue.indexOf(request), 1);
+            request.priority = 'navigation';
+            this._start(request);
+        }
+
+        _consume(request, signal) {
+            request.consumers++;
+            
+            // Consumers without a signal keep the request alive
+            if (!signal) return request.promise;
+            
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    reject(new DOMException('Request cancelled', 'AbortError'));
+                    this._release(request);
+                };
+                
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                
+                signal.addEventListener('abort', onAbort, { once: true });
+                request.promise
+                    .finally(() => signal.removeEventListener('abort', onAbort))
+                    .then(resolve, reject);
+            });
+        }
+
+        _release(request) {
+            if (--request.consumers > 0) return;
+            
+            request.controller.abort();
+            if (this._inflight.get(request.key) === request) {
+                this._inflight.delete(request.key);
+            }
+            
+            const queued = this._queue.indexOf(request);
+            if (queued !== -1) {
+                this._queue.splice(queued, 1);
+                request.reject(new DOMException('Request cancelled', 'AbortError'));
+            }
+        }
+
+        _canStartPrefetch() {
+            return this._active.navigation === 0 &&
+                   this._active.prefetch < this._prefetchConcurrency;
+        }
+
+        _drain() {
+            while (this._queue.length && this._canStartPrefetch()) {
+                this._start(this._queue.shift());
+            }
+        }
+    }
+
     /**
      * Script Loader with deduplication and ES Module support
      * 
@@ -184,12 +755,23 @@
      * - Does NOT require 'unsafe-eval' in CSP
      * - Supports type="module" scripts
      * - Properly handles script execution order
+     * - Applies the CSP nonce and Trusted Types policy when configured
      */
     class ScriptLoader {
-        constructor(debug = false) {
+        /**
+         * @param {boolean} [debug]
+         * @param {Object} [options]
+         * @param {string} [options.nonce] - CSP nonce for created scripts
+         * @param {Object} [options.policy] - Trusted Types policy
+         * @param {Function} [options.onError] - ({ message, stack, codePreview }) => void
+         */
+        constructor(debug = false, options = {}) {
             this._loaded = new Set();
             this._loading = new Map();
             this._debug = debug;
+            this._nonce = options.nonce || null;
+            this._policy = options.policy || null;
+            this._onError = options.onError || null;
         }
 
         /**
@@ -224,8 +806,9 @@
             // Create load promise
             const loadPromise = new Promise((resolve, reject) => {
                 const script = document.createElement('script');
-                script.src = src;
+                script.src = this._policy ? this._policy.createScriptURL(src) : src;
                 if (type) script.type = type;
+                if (this._nonce) script.nonce = this._nonce;
                 script.async = true;
                 
                 script.onload = () => {
@@ -263,6 +846,7 @@
 
                 const script = document.createElement('script');
                 if (type) script.type = type;
+                if (this._nonce) script.nonce = this._nonce;
                 
                 // For modules, we need to wait for execution
                 if (type === 'module') {
@@ -271,7 +855,7 @@
                     
                     // Append completion marker to module code
                     const wrappedCode = `${code}\nwindow['${markerId}'] = true;`;
-                    script.textContent = wrappedCode;
+                    script.textContent = this._scriptText(wrappedCode);
                     
                     // Check for completion
                     const checkComplete = () => {
@@ -292,7 +876,7 @@
                     requestAnimationFrame(checkComplete);
                 } else {
                     // Classic scripts execute synchronously when appended
-                    script.textContent = code;
+                    script.textContent = this._scriptText(code);
                     
                     try {
                         document.head.appendChild(script);
@@ -307,6 +891,10 @@
             });
         }
 
+        _scriptText(code) {
+            return this._policy ? this._policy.createScript(code) : code;
+        }
+
         /**
          * Handle script execution errors
          * @private
@@ -319,15 +907,19 @@
                 return;
             }
             
+            const details = {
+                message,
+                stack: error?.stack,
+                codePreview: code.slice(0, 200) + (code.length > 200 ? '...' : '')
+            };
+            
             if (this._debug) {
-                console.warn('[SPARouter] Script execution error:', {
-                    message,
-                    stack: error?.stack,
-                    codePreview: code.slice(0, 200) + (code.length > 200 ? '...' : '')
-                });
+                console.warn('[SPARouter] Script execution error:', details);
             } else {
                 console.warn('[SPARouter] Script execution error:', message);
             }
+            
+            this._onError?.(details);
         }
 
         _isRedeclarationError(message) {
@@ -345,95 +937,674 @@
     }
 
     /**
-     * Link Validator
-     * Determines if a link should be handled by SPA router
-     * Uses strict path segment matching to avoid false positives
+     * Head Manager
+     * Reconciles document.head and <html>/<body> attributes with a new page
+     *
+     * - Stylesheets: missing ones are added (and tracked); tracked ones the
+     *   new page lacks are returned for removal after the content swap
+     * - Head scripts: external scripts are loaded through ScriptLoader
+     * - Meta: merged by name/property (new page is authoritative), except
+     *   preserved names (csrf-token, viewport by default) and the CSP nonce
+     * - Attributes: configured html/body attributes are synced. Classes are
+     *   diffed against the previous server-rendered value so classes added
+     *   by scripts (e.g. sidebar state) survive
      */
-    class LinkValidator {
-        /**
-         * @param {Object} config - Validation configuration
-         * @param {string[]} config.forbiddenPathSegments - Path segments to block (e.g., ['api'] blocks '/api' and '/v1/api')
-         * @param {string[]} config.forbiddenPathPrefixes - Path prefixes to block (e.g., ['/api/'] blocks '/api/users')
-         * @param {string[]} config.forbiddenExactPaths - Exact paths to block
-         * @param {string[]} [config.allowlist] - Paths that are always allowed (overrides forbidden)
-         */
-        constructor(config) {
-            this._forbiddenSegments = new Set(config.forbiddenPathSegments || []);
-            this._forbiddenPrefixes = config.forbiddenPathPrefixes || [];
-            this._forbiddenExact = new Set(config.forbiddenExactPaths || []);
-            this._allowlist = new Set(config.allowlist || []);
+    class HeadManager {
+        constructor(scriptLoader, options = {}) {
+            this._scriptLoader = scriptLoader;
+            this._stylesheetTimeoutMs = options.stylesheetTimeoutMs || 0;
+            this._htmlAttributes = options.htmlAttributes || [];
+            this._bodyAttributes = options.bodyAttributes || [];
+            this._preservedMeta = options.preservedMeta || ['csrf-token', 'viewport'];
+            this._debug = options.debug || false;
+            this._serverClasses = {
+                html: Array.from(document.documentElement.classList),
+                body: Array.from(document.body?.classList || [])
+            };
         }
 
-        isNavigable(href, currentPath) {
-            if (!href) return false;
+        /**
+         * Apply the new page's head. Resolves once new stylesheets loaded
+         * (or timed out) and head scripts ran.
+         * Once the signal aborts nothing else changes and the stylesheets
+         * added for the page are taken out again
+         * @param {Document} doc - Parsed new page
+         * @param {AbortSignal} [signal] - Navigation signal
+         * @returns {Promise<Element[]>} Stylesheets to remove after the swap
+         */
+        async update(doc, signal = null) {
+            const { stale: staleStylesheets, added } = await this._updateStylesheets(doc, signal);
+            const cancelled = () => {
+                if (!signal?.aborted) return false;
+                added.forEach(link => link.remove());
+                return true;
+            };
+            if (cancelled()) return [];
+            
+            await this._loadHeadScripts(doc);
+            if (cancelled()) return [];
             
-            // Hash links
-            if (href.charAt(0) === '#') return false;
+            this._mergeMeta(doc);
+            this._syncCanonical(doc.querySelector('link[rel="canonical"]')?.getAttribute('href'));
+            this._syncAttributes(document.documentElement, doc.documentElement, this._htmlAttributes, 'html');
+            if (document.body && doc.body) {
+                this._syncAttributes(document.body, doc.body, this._bodyAttributes, 'body');
+            }
             
-            // External links
-            if (this._isExternalProtocol(href)) return false;
+            return staleStylesheets;
+        }
+
+        /**
+         * Apply fragment meta ({ description, canonical, 'og:title', ... })
+         */
+        updateMeta(meta) {
+            for (const [name, content] of Object.entries(meta)) {
+                if (name === 'canonical') {
+                    this._syncCanonical(content);
+                    continue;
+                }
+                if (this._preservedMeta.includes(name)) continue;
+                
+                const attr = name.includes(':') ? 'property' : 'name';
+                let tag = document.head.querySelector(`meta[${attr}="${CSS.escape(name)}"]`);
+                if (!tag) {
+                    tag = document.createElement('meta');
+                    tag.setAttribute(attr, name);
+                    document.head.appendChild(tag);
+                }
+                tag.setAttribute('content', content || '');
+            }
+        }
+
+        async _updateStylesheets(doc, signal = null) {
+            const incoming = new Map();
+            for (const link of doc.head.querySelectorAll('link[rel="stylesheet"][href]')) {
+                incoming.set(this._resolve(link.getAttribute('href')), link);
+            }
             
-            // Check allowlist first (takes precedence)
-            if (this._allowlist.has(href)) return true;
+            const current = new Set();
+            const stale = [];
+            for (const link of document.head.querySelectorAll('link[rel="stylesheet"][href]')) {
+                const href = this._resolve(link.getAttribute('href'));
+                current.add(href);
+                if (link.hasAttribute('data-spa-track') && !incoming.has(href)) {
+                    stale.push(link);
+                }
+            }
             
-            // Check forbidden patterns
-            if (this._isForbidden(href)) return false;
+            const loads = [];
+            const addedLinks = [];
+            for (const [href, link] of incoming) {
+                if (current.has(href)) continue;
+                
+                const added = document.importNode(link, true);
+                added.setAttribute('data-spa-track', '');
+                // The response's nonce is not the one this document enforces
+                added.removeAttribute('nonce');
+                if (this._scriptLoader._nonce) added.nonce = this._scriptLoader._nonce;
+                loads.push(new Promise(resolve => {
+                    added.addEventListener('load', resolve, { once: true });
+                    added.addEventListener('error', resolve, { once: true });
+                }));
+                document.head.appendChild(added);
+                addedLinks.push(added);
+            }
             
-            // Same page
-            if (href === currentPath) return false;
+            if (loads.length) {
+                let timer = null;
+                let onAbort = null;
+                await Promise.race([
+                    Promise.all(loads),
+                    new Promise(resolve => {
+                        timer = setTimeout(resolve, this._stylesheetTimeoutMs);
+                    }),
+                    new Promise(resolve => {
+                        onAbort = resolve;
+                        signal?.addEventListener('abort', resolve, { once: true });
+                    })
+                ]);
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            }
             
-            return true;
+            return { stale, added: addedLinks };
         }
 
-        _isExternalProtocol(href) {
-            // Protocol-relative URL
-            if (href.startsWith('//')) return true;
-            
-            // Check for common protocols
-            const protocolMatch = href.match(/^([a-z][a-z0-9+.-]*):\/?\/?/i);
-            if (protocolMatch) {
-                const protocol = protocolMatch[1].toLowerCase();
-                return ['http', 'https', 'javascript', 'mailto', 'tel', 'ftp', 'file'].includes(protocol);
+        async _loadHeadScripts(doc) {
+            for (const script of doc.head.querySelectorAll('script[src]')) {
+                const type = script.getAttribute('type') === 'module' ? 'module' : null;
+                try {
+                    // Raw attribute so it matches the server-rendered tag already in the DOM
+                    await this._scriptLoader.loadExternal(script.getAttribute('src'), type);
+                } catch (error) {
+                    if (this._debug) {
+                        console.warn('[SPARouter] Failed to load head script:', script.getAttribute('src'), error);
+                    }
+                }
             }
-            
-            return false;
         }
 
-        _isForbidden(href) {
-            // Normalize path (remove query string and hash for checking)
-            const pathOnly = href.split(/[?#]/)[0].toLowerCase();
-            
-            // Check exact matches
-            if (this._forbiddenExact.has(pathOnly)) return true;
+        _mergeMeta(doc) {
+            const incoming = this._indexMeta(doc.head);
             
-            // Check prefixes
-            for (const prefix of this._forbiddenPrefixes) {
-                if (pathOnly.startsWith(prefix)) return true;
+            for (const [key, tag] of this._indexMeta(document.head)) {
+                const next = incoming.get(key);
+                if (!next) {
+                    tag.remove();
+                    continue;
+                }
+                
+                const content = next.getAttribute('content') || '';
+                if (tag.getAttribute('content') !== content) {
+                    tag.setAttribute('content', content);
+                }
+                incoming.delete(key);
             }
             
-            // Check segments (split by '/' and check each segment)
-            const segments = pathOnly.split('/').filter(Boolean);
-            for (const segment of segments) {
-                if (this._forbiddenSegments.has(segment)) return true;
+            for (const tag of incoming.values()) {
+                document.head.appendChild(document.importNode(tag, true));
             }
-            
-            return false;
         }
 
         /**
-         * Add paths to allowlist at runtime
+         * Map of meta tags keyed by name/property and occurrence
+         * (pages may repeat e.g. og:image)
          */
-        addToAllowlist(...paths) {
-            paths.forEach(p => this._allowlist.add(p));
+        _indexMeta(head) {
+            const index = new Map();
+            const seen = {};
+            
+            for (const tag of head.querySelectorAll('meta[name], meta[property]')) {
+                // The enforced nonce belongs to the initial document; preserved
+                // meta (e.g. the CSRF token) is managed elsewhere
+                if (HeadManager._isNonceMeta(tag) || this._preservedMeta.includes(tag.getAttribute('name'))) continue;
+                
+                const id = tag.hasAttribute('name')
+                    ? `name:${tag.getAttribute('name')}`
+                    : `property:${tag.getAttribute('property')}`;
+                seen[id] = (seen[id] || 0) + 1;
+                index.set(`${id}#${seen[id]}`, tag);
+            }
+            
+            return index;
         }
 
-        /**
-         * Add forbidden segments at runtime
-         */
-        addForbiddenSegment(...segments) {
-            segments.forEach(s => this._forbiddenSegments.add(s.toLowerCase()));
+        static _isNonceMeta(tag) {
+            return (tag.getAttribute('name') || tag.getAttribute('property')) === 'csp-nonce';
         }
-    }
+
+        _syncCanonical(href) {
+            let link = document.head.querySelector('link[rel="canonical"]');
+            
+            if (!href) {
+                link?.remove();
+                return;
+            }
+            
+            if (!link) {
+                link = document.createElement('link');
+                link.rel = 'canonical';
+                document.head.appendChild(link);
+            }
+            link.setAttribute('href', href);
+        }
+
+        _syncAttributes(target, source, names, key) {
+            for (const name of names) {
+                if (name === 'class') {
+                    const next = Array.from(source.classList);
+                    const previous = this._serverClasses[key];
+                    
+                    previous.filter(c => !next.includes(c)).forEach(c => target.classList.remove(c));
+                    next.forEach(c => target.classList.add(c));
+                    this._serverClasses[key] = next;
+                } else if (source.hasAttribute(name)) {
+                    target.setAttribute(name, source.getAttribute(name));
+                } else {
+                    target.removeAttribute(name);
+                }
+            }
+        }
+
+        _resolve(href) {
+            try {
+                return new URL(href, document.baseURI).href;
+            } catch {
+                return href;
+            }
+        }
+    }
+
+    /**
+     * Cleanup Registry
+     * Tears down page-scoped resources before each content swap, in order:
+     *
+     *   1. Component adapters - destroy(element, state) for every element in
+     *      the container matching the adapter (document order)
+     *   2. onCleanup callbacks - last registered runs first
+     *
+     * Adapters: { selector?, init?(element), destroy(element, state) }
+     * Elements match [data-spa-component~="name"] unless a selector is given.
+     * The value returned by init() is passed back to destroy().
+     */
+    class CleanupRegistry {
+        constructor(debug = false) {
+            this._callbacks = [];
+            this._adapters = new Map();
+            this._states = new WeakMap();
+            this._debug = debug;
+        }
+
+        /**
+         * @returns {Function} Unregister without running
+         */
+        add(fn) {
+            this._callbacks.push(fn);
+            return () => {
+                const index = this._callbacks.indexOf(fn);
+                if (index !== -1) this._callbacks.splice(index, 1);
+            };
+        }
+
+        registerAdapter(name, adapter) {
+            this._adapters.set(name, adapter);
+        }
+
+        /**
+         * Run adapter init() for components inside a freshly swapped container
+         */
+        mount(container, names = this._adapters.keys()) {
+            for (const name of names) {
+                const adapter = this._adapters.get(name);
+                if (!adapter?.init) continue;
+                
+                for (const element of this._elements(container, name, adapter)) {
+                    const states = this._states.get(element) || new Map();
+                    if (states.has(name)) continue;
+                    
+                    try {
+                        states.set(name, adapter.init(element));
+                        this._states.set(element, states);
+                    } catch (error) {
+                        this._warn(`init "${name}"`, error);
+                    }
+                }
+            }
+        }
+
+        run(container) {
+            if (container) {
+                for (const [name, adapter] of this._adapters) {
+                    for (const element of this._elements(container, name, adapter)) {
+                        const states = this._states.get(element);
+                        try {
+                            adapter.destroy?.(element, states?.get(name));
+                        } catch (error) {
+                            this._warn(`destroy "${name}"`, error);
+                        }
+                        states?.delete(name);
+                    }
+                }
+            }
+            
+            const callbacks = this._callbacks.splice(0).reverse();
+            for (const fn of callbacks) {
+                try {
+                    fn();
+                } catch (error) {
+                    this._warn('callback', error);
+                }
+            }
+        }
+
+        _elements(container, name, adapter) {
+            return container.querySelectorAll(
+                adapter.selector || `[data-spa-component~="${CSS.escape(name)}"]`
+            );
+        }
+
+        _warn(label, error) {
+            if (this._debug) {
+                console.warn(`[SPARouter] Cleanup ${label} failed:`, error);
+            }
+        }
+
+        /**
+         * Built-in adapter: Chart.js instances on canvases inside the container
+         */
+        static get chartAdapter() {
+            return {
+                selector: 'canvas',
+                destroy(canvas) {
+                    const Chart = window.Chart;
+                    if (!Chart) return;
+                    
+                    // Chart.getChart: v3+, instances lookup: v2
+                    const chart = Chart.getChart?.(canvas) ||
+                                  Object.values(Chart.instances || {}).find(instance => instance.canvas === canvas);
+                    chart?.destroy();
+                }
+            };
+        }
+    }
+
+    /**
+     * Link Validator
+     * Determines if a link should be handled by SPA router
+     * Uses strict path segment matching to avoid false positives
+     *
+     * Rules (allowlist and FORBIDDEN_PATTERNS) may be:
+     * - a path: exact match ('/api/public')
+     * - a glob: '*' within a segment, '**' across segments ('/files/**', '**.pdf')
+     * - a RegExp tested against the path and query
+     * - a function (path, url) => boolean
+     */
+    class LinkValidator {
+        /**
+         * @param {Object} config - Validation configuration
+         * @param {string[]} config.forbiddenPathSegments - Path segments to block (e.g., ['api'] blocks '/api' and '/v1/api')
+         * @param {string[]} config.forbiddenPathPrefixes - Path prefixes to block (e.g., ['/api/'] blocks '/api/users')
+         * @param {string[]} config.forbiddenExactPaths - Exact paths to block
+         * @param {Array} [config.forbiddenPatterns] - Glob/RegExp/function rules to block
+         * @param {Array} [config.allowlist] - Rules that are always allowed (overrides forbidden)
+         * @param {string} [config.basePath] - Only paths under it are handled
+         */
+        constructor(config) {
+            this._forbiddenSegments = new Set(config.forbiddenPathSegments || []);
+            this._forbiddenPrefixes = config.forbiddenPathPrefixes || [];
+            this._forbiddenExact = new Set(config.forbiddenExactPaths || []);
+            this._forbiddenPatterns = (config.forbiddenPatterns || []).map(LinkValidator._compile);
+            this._allowlist = (config.allowlist || []).map(LinkValidator._compile);
+            this._basePath = LinkValidator._normalizeBase(config.basePath);
+        }
+
+        /**
+         * @param {string} href
+         * @param {string} currentPath - Path, query and fragment on screen
+         * @param {Element} [element] - The link, for attribute opt-outs
+         */
+        isNavigable(href, currentPath, element = null) {
+            return this.explain(href, currentPath, element).navigable;
+        }
+
+        /**
+         * Decide whether an href is handled, and which rule decided
+         * @returns {Object} { navigable, reason, rule }
+         */
+        explain(href, currentPath, element = null) {
+            const deny = (reason, rule = null) => ({ navigable: false, reason, rule });
+            
+            if (element) {
+                const optOut = this._elementOptOut(element);
+                if (optOut) return deny(optOut.reason, optOut.rule);
+            }
+            
+            if (!href) return deny('empty');
+            
+            // Placeholder links (href="#") belong to page scripts
+            if (href === '#') return deny('hash');
+            
+            // Other origins, non-http(s) schemes and paths outside the base
+            const url = this.resolve(href);
+            if (!url) {
+                const reason = this._unresolvedReason(href);
+                return deny(reason, reason === 'outside-base' ? this._basePath : null);
+            }
+            const path = url.pathname + url.search;
+            
+            // Check allowlist first (takes precedence)
+            const allowed = this._matchRule(this._allowlist, path, url);
+            if (allowed) return { navigable: true, reason: 'allowlist', rule: allowed.source };
+            
+            // Check forbidden patterns
+            const forbidden = this._forbiddenRule(path, url);
+            if (forbidden) return deny(forbidden.reason, forbidden.rule);
+            
+            // Same page (currentPath includes the fragment)
+            if (path + url.hash === currentPath) return deny('same-page');
+            
+            // Another fragment of the page on screen: scroll, no fetch
+            if (url.hash && path === currentPath.split('#')[0]) {
+                return { navigable: true, reason: 'same-document', rule: null };
+            }
+            
+            return { navigable: true, reason: 'default', rule: null };
+        }
+
+        /**
+         * Resolve an href against <base> (or location)
+         * @returns {URL|null} null for other origins, non-http(s) schemes
+         *                     (javascript:, mailto:, tel:...) and paths
+         *                     outside the base path
+         */
+        resolve(href) {
+            const url = this._parse(href);
+            return url && url.origin === location.origin && this.inScope(url.pathname) ? url : null;
+        }
+
+        inScope(pathname) {
+            const base = this._basePath;
+            return base === '/' || pathname.startsWith(base) || pathname === base.slice(0, -1);
+        }
+
+        static _normalizeBase(basePath) {
+            if (!basePath || basePath === '/') return '/';
+            
+            const trimmed = basePath.replace(/^\/+|\/+$/g, '');
+            return `/${trimmed}/`;
+        }
+
+        _parse(href) {
+            if (!href) return null;
+            
+            try {
+                return new URL(href, document.baseURI);
+            } catch {
+                return null;
+            }
+        }
+
+        _unresolvedReason(href) {
+            const url = this._parse(href);
+            if (!url) return 'invalid';
+            // Opaque schemes have a 'null' origin
+            return url.origin === location.origin ? 'outside-base' : 'external';
+        }
+
+        /**
+         * Markup opt-outs on the link itself or data-spa="false" on any ancestor
+         */
+        _elementOptOut(element) {
+            const optOut = element.closest('[data-spa="false"]');
+            if (optOut) return { reason: 'opt-out', rule: optOut };
+            
+            const target = element.getAttribute('target');
+            if (target && target !== '_self') return { reason: 'target', rule: target };
+            
+            if (element.hasAttribute('download')) return { reason: 'download', rule: 'download' };
+            
+            const rel = (element.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+            if (rel.includes('external')) return { reason: 'rel-external', rule: 'external' };
+            
+            return null;
+        }
+
+        _forbiddenRule(href, url = null) {
+            // Normalize path (remove query string and hash for checking)
+            const pathOnly = href.split(/[?#]/)[0].toLowerCase();
+            
+            // Check exact matches
+            if (this._forbiddenExact.has(pathOnly)) {
+                return { reason: 'forbidden-exact', rule: pathOnly };
+            }
+            
+            // Check prefixes
+            for (const prefix of this._forbiddenPrefixes) {
+                if (pathOnly.startsWith(prefix)) return { reason: 'forbidden-prefix', rule: prefix };
+            }
+            
+            // Check segments (split by '/' and check each segment)
+            const segments = pathOnly.split('/').filter(Boolean);
+            for (const segment of segments) {
+                if (this._forbiddenSegments.has(segment)) return { reason: 'forbidden-segment', rule: segment };
+            }
+            
+            const pattern = this._matchRule(this._forbiddenPatterns, href, url);
+            if (pattern) return { reason: 'forbidden-pattern', rule: pattern.source };
+            
+            return null;
+        }
+
+        _matchRule(rules, path, url) {
+            url ||= new URL(path, location.origin);
+            return rules.find(rule => rule.test(path, url)) || null;
+        }
+
+        /**
+         * @returns {Object} { source, test(path, url) }
+         */
+        static _compile(rule) {
+            if (rule instanceof RegExp) {
+                return { source: rule, test: path => rule.test(path) };
+            }
+            if (typeof rule === 'function') {
+                return { source: rule, test: (path, url) => !!rule(path, url) };
+            }
+            
+            const text = String(rule);
+            if (!text.includes('*')) {
+                return { source: text, test: path => path === text || path.split('?')[0] === text };
+            }
+            
+            const regex = new RegExp('^' + text
+                .split('**')
+                .map(part => part
+                    .split('*')
+                    .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                    .join('[^/]*'))
+                .join('.*') + '$');
+            return { source: text, test: path => regex.test(path.split('?')[0]) };
+        }
+
+        /**
+         * Check a form action path. Unlike isNavigable, submitting to the
+         * current page is allowed (search forms, edit forms posting to self)
+         */
+        isSubmittable(path) {
+            if (!path) return false;
+            if (this._matchRule(this._allowlist, path)) return true;
+            return !this._forbiddenRule(path);
+        }
+
+        /**
+         * Add rules to allowlist at runtime
+         */
+        addToAllowlist(...rules) {
+            this._allowlist.push(...rules.map(LinkValidator._compile));
+        }
+
+        /**
+         * Add forbidden glob/RegExp/function rules at runtime
+         */
+        addForbiddenPattern(...rules) {
+            this._forbiddenPatterns.push(...rules.map(LinkValidator._compile));
+        }
+
+        /**
+         * Add forbidden segments at runtime
+         */
+        addForbiddenSegment(...segments) {
+            segments.forEach(s => this._forbiddenSegments.add(s.toLowerCase()));
+        }
+    }
+
+    /**
+     * Route Table
+     * Matches paths against patterns and returns parsed params
+     *
+     * Pattern syntax:
+     * - '/users/:id'      named segment
+     * - '/users/:id?'     optional segment
+     * - '/files/*'        wildcard (rest of path, exposed as params.wildcard)
+     * - /^\/u\/(?<id>\d+)$/ RegExp (named groups become params)
+     */
+    class RouteTable {
+        constructor() {
+            this._routes = [];
+        }
+
+        add(pattern, handlers) {
+            this._routes.push({
+                pattern,
+                handlers,
+                ...RouteTable.compile(pattern)
+            });
+        }
+
+        /**
+         * Find the first route matching a path (query and hash are ignored)
+         * @returns {{ route: Object, params: Object }|null}
+         */
+        match(path) {
+            const pathname = path.split(/[?#]/)[0] || '/';
+            
+            for (const route of this._routes) {
+                const match = route.regex.exec(pathname);
+                if (!match) continue;
+                
+                const params = { ...(match.groups || {}) };
+                route.keys.forEach((key, i) => {
+                    if (match[i + 1] !== undefined) {
+                        params[key] = RouteTable._decode(match[i + 1]);
+                    }
+                });
+                
+                return { route, params };
+            }
+            
+            return null;
+        }
+
+        clear() {
+            this._routes = [];
+        }
+
+        get size() {
+            return this._routes.length;
+        }
+
+        static compile(pattern) {
+            if (pattern instanceof RegExp) {
+                return { regex: pattern, keys: [] };
+            }
+            
+            const keys = [];
+            let source = '';
+            
+            for (const segment of pattern.split('/').filter(Boolean)) {
+                if (segment === '*') {
+                    keys.push('wildcard');
+                    source += '(?:/(.*))?';
+                } else if (segment.charAt(0) === ':') {
+                    const optional = segment.endsWith('?');
+                    keys.push(segment.slice(1, optional ? -1 : undefined));
+                    source += optional ? '(?:/([^/]+))?' : '/([^/]+)';
+                } else {
+                    source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                }
+            }
+            
+            return { regex: new RegExp(`^${source}/?$`), keys };
+        }
+
+        static _decode(value) {
+            try {
+                return decodeURIComponent(value);
+            } catch {
+                return value;
+            }
+        }
+    }
 
     /**
      * Device Capability Detector
@@ -477,493 +1648,3008 @@
     }
 
     /**
-     * Error wrapper with additional context for debugging
+     * Prefetch Triggers
+     * Resolves each link's mode (data-spa-prefetch, else the default for
+     * links matching the selector) and fires the prefetch callback:
+     * - hover: after a delay on mouseover, at once on touchstart
+     * - touchstart: on touchstart only
+     * - viewport: when the link scrolls into view (IntersectionObserver)
+     * - idle: when the browser is idle (requestIdleCallback)
      */
-    class SPAError extends Error {
-        constructor(message, context = {}) {
-            super(message);
-            this.name = 'SPAError';
-            this.context = context;
-            this.timestamp = Date.now();
+    class Prefetcher {
+        constructor(device, options = {}) {
+            this._device = device;
+            this._mode = options.mode || 'none';
+            this._selector = options.selector;
+            this._delayMs = options.delayMs ?? 150;
+            this._onPrefetch = options.onPrefetch;
+            this._hoverTimer = null;
+            this._idleHandle = null;
+            this._observer = null;
         }
 
-        toJSON() {
-            return {
-                name: this.name,
-                message: this.message,
-                context: this.context,
-                timestamp: this.timestamp,
-                stack: this.stack
-            };
+        static get MODES() {
+            return ['hover', 'viewport', 'touchstart', 'idle', 'none'];
         }
-    }
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // MAIN ROUTER CLASS
-    // ═══════════════════════════════════════════════════════════════════════
+        /**
+         * Back off on Save-Data, 2G connections, hidden tabs and low-end devices
+         */
+        get allowed() {
+            if (this._device.isLow || document.visibilityState === 'hidden') return false;
+            
+            const connection = navigator.connection;
+            if (connection?.saveData) return false;
+            return !/2g$/.test(connection?.effectiveType || '');
+        }
 
-    class SPARouter {
-        constructor(options = {}) {
-            // Merge options with defaults
-            this._config = { ...CONFIG, ...options };
+        modeOf(link) {
+            const mode = link.dataset.spaPrefetch;
+            if (Prefetcher.MODES.includes(mode)) return mode;
+            return this._selector && link.matches(this._selector) ? this._mode : 'none';
+        }
+
+        hover(link) {
+            if (this.modeOf(link) !== 'hover') return;
             
-            // Initialize utilities
-            this._cache = new LRUCache(
-                this._config.CACHE_MAX_SIZE,
-                this._config.CACHE_TTL_MS
-            );
-            this._scriptLoader = new ScriptLoader(this._config.DEBUG);
-            this._linkValidator = new LinkValidator({
-                forbiddenPathSegments: this._config.FORBIDDEN_PATH_SEGMENTS,
+            clearTimeout(this._hoverTimer);
+            this._hoverTimer = setTimeout(() => this._fire(link), this._delayMs);
+        }
+
+        touch(link) {
+            const mode = this.modeOf(link);
+            if (mode === 'touchstart' || mode === 'hover') this._fire(link);
+        }
+
+        /**
+         * Pick up viewport and idle links (call after each content swap)
+         */
+        scan(root = document) {
+            this._observer?.disconnect();
+            this._cancelIdle();
+            
+            const viewport = [];
+            const idle = [];
+            for (const link of root.querySelectorAll(SPARouter.LINK_SELECTOR)) {
+                const mode = this.modeOf(link);
+                if (mode === 'viewport') viewport.push(link);
+                else if (mode === 'idle') idle.push(link);
+            }
+            
+            if (viewport.length && 'IntersectionObserver' in window) {
+                this._observer ||= new IntersectionObserver(entries => {
+                    for (const entry of entries) {
+                        if (!entry.isIntersecting || !this.allowed) continue;
+                        this._observer.unobserve(entry.target);
+                        this._fire(entry.target);
+                    }
+                });
+                viewport.forEach(link => this._observer.observe(link));
+            }
+            
+            if (idle.length) {
+                const run = () => {
+                    this._idleHandle = null;
+                    idle.forEach(link => this._fire(link));
+                };
+                this._idleHandle = window.requestIdleCallback
+                    ? { idle: requestIdleCallback(run, { timeout: 2000 }) }
+                    : { timer: setTimeout(run, 200) };
+            }
+        }
+
+        destroy() {
+            clearTimeout(this._hoverTimer);
+            this._cancelIdle();
+            this._observer?.disconnect();
+            this._observer = null;
+        }
+
+        _fire(link) {
+            if (!this.allowed || !link.isConnected) return;
+            this._onPrefetch(link);
+        }
+
+        _cancelIdle() {
+            if (!this._idleHandle) return;
+            
+            if (this._idleHandle.idle) cancelIdleCallback(this._idleHandle.idle);
+            else clearTimeout(this._idleHandle.timer);
+            this._idleHandle = null;
+        }
+    }
+
+    /**
+     * Loading Indicator
+     * Appears only when a navigation outlasts the delay, then advances
+     * through the fetch -> parse -> script phases:
+     * - top progress bar (.spa-progress)
+     * - .spa-loading and aria-busy on the container
+     * - skeleton: the <template data-spa-skeleton> whose value is the longest
+     *   prefix of the path ("" matches every path)
+     * onShow/onHide let pages drive their own spinner instead.
+     */
+    class LoadingIndicator {
+        constructor(options = {}) {
+            this._delayMs = options.delayMs ?? 200;
+            this._progressBar = options.progressBar !== false;
+            this._ariaBusy = options.ariaBusy !== false;
+            this._skeletons = options.skeletons !== false;
+            this._onShow = options.onShow || (() => {});
+            this._onHide = options.onHide || (() => {});
+            this._bar = null;
+            this._timer = null;
+            this._active = null;
+        }
+
+        static get PHASES() {
+            return { fetch: 0.3, parse: 0.7, script: 0.9 };
+        }
+
+        /**
+         * A navigation started. While already visible (a newer navigation
+         * took over) the indicator stays up instead of flickering
+         */
+        start(path, container) {
+            if (this._active?.visible) {
+                this._active.path = path;
+                this.phase('fetch');
+                return;
+            }
+            
+            this.stop();
+            this._active = { path, container, phase: 'fetch', startedAt: performance.now(), visible: false };
+            this._timer = setTimeout(() => this._show(), this._delayMs);
+        }
+
+        phase(name) {
+            if (!this._active) return;
+            
+            this._active.phase = name;
+            if (!this._active.visible) return;
+            
+            this._setProgress(LoadingIndicator.PHASES[name]);
+            // Scripts run against the new content - it must be laid out
+            if (name === 'script') this._removeSkeleton(this._active.container);
+        }
+
+        /**
+         * The content was replaced, skeleton included: drop the marker in the
+         * same update so the new content is never painted hidden
+         */
+        swapped(container) {
+            this._removeSkeleton(container);
+        }
+
+        stop() {
+            clearTimeout(this._timer);
+            const active = this._active;
+            this._active = null;
+            if (!active?.visible) return;
+            
+            const { container } = active;
+            container.classList.remove('spa-loading');
+            container.removeAttribute('aria-busy');
+            this._removeSkeleton(container);
+            
+            if (this._bar) {
+                this._setProgress(1);
+                delete this._bar.dataset.active;
+            }
+            
+            this._onHide({ path: active.path, duration: performance.now() - active.startedAt });
+        }
+
+        destroy() {
+            this.stop();
+            this._bar?.remove();
+            this._bar = null;
+        }
+
+        _show() {
+            const active = this._active;
+            if (!active) return;
+            active.visible = true;
+            
+            const { container } = active;
+            container.classList.add('spa-loading');
+            if (this._ariaBusy) container.setAttribute('aria-busy', 'true');
+            
+            const template = this._skeletons && this._skeletonFor(active.path);
+            if (template) {
+                const skeleton = document.createElement('div');
+                skeleton.className = 'spa-skeleton';
+                skeleton.appendChild(template.content.cloneNode(true));
+                container.prepend(skeleton);
+                container.dataset.spaSkeletonActive = '';
+            }
+            
+            if (this._progressBar) {
+                if (!this._bar) {
+                    this._bar = document.createElement('div');
+                    this._bar.className = 'spa-progress';
+                    this._bar.setAttribute('aria-hidden', 'true');
+                    document.body.appendChild(this._bar);
+                }
+                this._setProgress(0);
+                void this._bar.offsetWidth;
+                this._bar.dataset.active = '';
+                this._setProgress(LoadingIndicator.PHASES[active.phase]);
+            }
+            
+            this._onShow({ path: active.path, phase: active.phase });
+        }
+
+        _removeSkeleton(container) {
+            container.querySelector(':scope > .spa-skeleton')?.remove();
+            delete container.dataset.spaSkeletonActive;
+        }
+
+        _setProgress(fraction) {
+            if (this._bar) this._bar.style.transform = `scaleX(${fraction})`;
+        }
+
+        _skeletonFor(path) {
+            let best = null;
+            
+            for (const template of document.querySelectorAll('template[data-spa-skeleton]')) {
+                const prefix = template.dataset.spaSkeleton;
+                if (!path.startsWith(prefix)) continue;
+                if (!best || prefix.length > best.dataset.spaSkeleton.length) best = template;
+            }
+            return best;
+        }
+    }
+
+    /**
+     * Focus Manager
+     * Swapping container.innerHTML leaves focus on a detached element and
+     * says nothing to screen readers. After each navigation:
+     * - focus returns to the element recorded for this history entry, or
+     * - moves to [data-spa-focus] / the first heading of the new content
+     *   (made focusable with tabindex="-1"), else the container
+     * - document.title is announced through a polite aria-live region
+     */
+    class FocusManager {
+        constructor(options = {}) {
+            this._moveFocus = options.moveFocus !== false;
+            this._headingSelector = options.headingSelector || 'h1, h2, h3, h4, h5, h6';
+            this._announceTitle = options.announceTitle !== false;
+            this._region = null;
+            this._announceTimer = null;
+        }
+
+        /**
+         * Serializable reference to an element, stored in history.state
+         * @returns {Object|null} { id } or { href, index }
+         */
+        describe(element) {
+            if (!element || element === document.body) return null;
+            if (element.id) return { id: element.id };
+            
+            const href = element.getAttribute?.('href');
+            if (!href) return null;
+            
+            return { href, index: this._linksTo(href).indexOf(element) };
+        }
+
+        /**
+         * @param {HTMLElement} container - The new content
+         * @param {Object} [restore] - Descriptor from describe()
+         */
+        afterNavigate(container, restore = null) {
+            const restored = restore && this._focus(this._find(restore));
+            
+            if (!restored && this._moveFocus) {
+                const target = container.querySelector('[data-spa-focus]') ||
+                               container.querySelector(this._headingSelector) ||
+                               container;
+                this._focus(target, true);
+            }
+            
+            if (this._announceTitle) this.announce(document.title);
+        }
+
+        announce(text) {
+            if (!text) return;
+            
+            if (!this._region) {
+                this._region = document.createElement('div');
+                this._region.className = 'spa-announcer';
+                this._region.setAttribute('aria-live', 'polite');
+                this._region.setAttribute('aria-atomic', 'true');
+                document.body.appendChild(this._region);
+            }
+            
+            // Clear first so the same title is announced again
+            this._region.textContent = '';
+            clearTimeout(this._announceTimer);
+            this._announceTimer = setTimeout(() => {
+                this._region.textContent = text;
+            }, 100);
+        }
+
+        destroy() {
+            clearTimeout(this._announceTimer);
+            this._region?.remove();
+            this._region = null;
+        }
+
+        _find(descriptor) {
+            if (descriptor.id) return document.getElementById(descriptor.id);
+            if (descriptor.href) return this._linksTo(descriptor.href)[descriptor.index] || null;
+            return null;
+        }
+
+        _linksTo(href) {
+            // Compared as attributes: no selector escaping needed
+            return Array.from(document.querySelectorAll('a[href]'))
+                .filter(link => link.getAttribute('href') === href);
+        }
+
+        _focus(element, makeFocusable = false) {
+            if (!element?.isConnected) return false;
+            
+            if (makeFocusable && !element.hasAttribute('tabindex') && element.tabIndex < 0) {
+                element.setAttribute('tabindex', '-1');
+            }
+            element.focus({ preventScroll: true });
+            return document.activeElement === element;
+        }
+    }
+
+    /**
+     * Transition Manager
+     * Runs the content swap through a named transition strategy:
+     *
+     *   {
+     *     out(container, ctx),   // before the swap, may return a Promise
+     *     in(container, ctx),    // once the new content is ready
+     *     viewTransition: true   // prefer document.startViewTransition
+     *   }
+     *
+     * ctx = { name, direction: 'forward' | 'back', duration }
+     * During a view transition the strategy is exposed as
+     * html[data-spa-transition] / html[data-spa-direction] for CSS.
+     * Low-capability devices and prefers-reduced-motion always get 'none'.
+     */
+    class TransitionManager {
+        constructor(device, options = {}) {
+            this._device = device;
+            this._viewTransitions = options.viewTransitions !== false;
+            this._strategies = new Map(Object.entries(TransitionManager.presets));
+            this._activeViewTransition = null;
+        }
+
+        static get presets() {
+            const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+            
+            return {
+                none: {},
+                fade: {
+                    viewTransition: true,
+                    out(element, { duration }) {
+                        element.style.opacity = '0';
+                        element.style.transform = 'translateY(-10px)';
+                        return wait(duration);
+                    },
+                    in(element) {
+                        element.style.opacity = '1';
+                        element.style.transform = 'translateY(0)';
+                    }
+                },
+                slide: {
+                    viewTransition: true,
+                    out(element, { direction, duration }) {
+                        element.style.opacity = '0';
+                        element.style.transform = `translateX(${direction === 'back' ? 24 : -24}px)`;
+                        return wait(duration);
+                    },
+                    in(element, { direction }) {
+                        // Jump to the start position, then animate from there
+                        element.style.transition = 'none';
+                        element.style.transform = `translateX(${direction === 'back' ? -24 : 24}px)`;
+                        void element.offsetWidth;
+                        element.style.transition = '';
+                        element.style.opacity = '1';
+                        element.style.transform = 'translateX(0)';
+                    }
+                }
+            };
+        }
+
+        register(name, strategy) {
+            this._strategies.set(name, strategy);
+        }
+
+        /**
+         * Replace content through a transition
+         * @param {HTMLElement} container
+         * @param {string} name - Strategy name
+         * @param {string} direction - 'forward' | 'back'
+         * @param {Function} update - Synchronous DOM update
+         * @param {AbortSignal} [signal] - Navigation signal; once aborted the
+         *                                 update is skipped
+         * @returns {Promise<Function>} Runs the "in" phase; call once the new
+         *                              content (scripts included) is ready
+         */
+        async swap(container, name, direction, update, signal = null) {
+            const { strategy, ctx } = this._resolve(name, direction);
+            
+            if (strategy.viewTransition && this._viewTransitions &&
+                typeof document.startViewTransition === 'function') {
+                const root = document.documentElement;
+                root.dataset.spaTransition = ctx.name;
+                root.dataset.spaDirection = direction;
+                
+                const transition = document.startViewTransition(() => {
+                    if (!signal?.aborted) update();
+                });
+                this._activeViewTransition = transition;
+                
+                const cleanup = () => {
+                    if (this._activeViewTransition !== transition) return;
+                    this._activeViewTransition = null;
+                    delete root.dataset.spaTransition;
+                    delete root.dataset.spaDirection;
+                };
+                transition.finished.then(cleanup, cleanup);
+                // Rejects (AbortError) when skipped: superseded, overlapped
+                // by another transition or the update threw
+                transition.ready.catch(() => {});
+                
+                await transition.updateCallbackDone;
+                return () => {};
+            }
+            
+            await strategy.out?.(container, ctx);
+            
+            // Superseded mid-animation: bring the old content back rather
+            // than leave the container hidden
+            if (signal?.aborted) {
+                strategy.in?.(container, ctx);
+                return () => {};
+            }
+            
+            update();
+            return () => strategy.in?.(container, ctx);
+        }
+
+        /**
+         * Skip a running view transition (a newer navigation took over)
+         */
+        cancel() {
+            this._activeViewTransition?.skipTransition();
+        }
+
+        _resolve(name, direction) {
+            const reducedMotion = this._device.isLow ||
+                                  window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+            const resolved = !reducedMotion && this._strategies.has(name) ? name : 'none';
+            
+            return {
+                strategy: this._strategies.get(resolved),
+                ctx: { name: resolved, direction, duration: this._device.animationDuration }
+            };
+        }
+    }
+
+    /**
+     * Navigation Timing
+     * Per-phase durations of one navigation:
+     *   fetch     - waiting for the page (queue, retries, network)
+     *   ttfb      - request start to response headers
+     *   download  - response headers to full body
+     *   parse     - HTML parsing and container lookup
+     *   head      - head reconciliation (stylesheet loading)
+     *   teardown  - route unmount and cleanup registry
+     *   transition- "out" animation
+     *   swap      - container replacement
+     *   script    - script execution and component mount
+     *   mount     - route controller mount
+     */
+    class NavigationTiming {
+        constructor(id, path, marks = true) {
+            this.id = id;
+            this.path = path;
+            this.phases = {};
+            this._marks = marks && typeof performance.mark === 'function';
+            this._markNames = new Set();
+            this._measureNames = new Set();
+            this._startedAt = performance.now();
+            this._mark('spa:navigationStart');
+        }
+
+        /**
+         * @returns {Function} Ends the phase
+         */
+        begin(phase) {
+            const start = performance.now();
+            return () => this.record(phase, start, performance.now());
+        }
+
+        record(phase, start, end) {
+            this.phases[phase] = (this.phases[phase] || 0) + (end - start);
+            this._measure(`spa:${phase}`, start, end);
+        }
+
+        /**
+         * @returns {Object} { id, path, total, phases }
+         */
+        finish() {
+            const end = performance.now();
+            this._mark('spa:navigationEnd');
+            this._measure('spa:navigation', this._startedAt, end);
+            
+            return {
+                id: this.id,
+                path: this.path,
+                total: end - this._startedAt,
+                phases: { ...this.phases }
+            };
+        }
+
+        /**
+         * Remove this navigation's entries from the performance timeline,
+         * which would otherwise grow for the whole session (observers and
+         * DevTools recordings have them already)
+         */
+        dispose() {
+            if (!this._marks) return;
+            
+            this._markNames.forEach(name => performance.clearMarks(name));
+            this._measureNames.forEach(name => performance.clearMeasures?.(name));
+            this._markNames.clear();
+            this._measureNames.clear();
+        }
+
+        _mark(name) {
+            if (!this._marks) return;
+            performance.mark(name, { detail: { id: this.id, path: this.path } });
+            this._markNames.add(name);
+        }
+
+        _measure(name, start, end) {
+            if (!this._marks) return;
+            
+            try {
+                performance.measure(name, { start, end, detail: { id: this.id, path: this.path } });
+                this._measureNames.add(name);
+            } catch {
+                // Older engines: no options form of measure()
+            }
+        }
+    }
+
+    /**
+     * Timing Stats
+     * Rolling p50/p95/p99 per route pattern and phase over the last
+     * sampleSize navigations
+     */
+    class TimingStats {
+        constructor(sampleSize = 50) {
+            this._sampleSize = sampleSize;
+            this._samples = new Map();
+        }
+
+        add(pattern, total, phases) {
+            if (!this._samples.has(pattern)) this._samples.set(pattern, new Map());
+            const series = this._samples.get(pattern);
+            
+            for (const [phase, ms] of Object.entries({ total, ...phases })) {
+                if (!series.has(phase)) series.set(phase, []);
+                const values = series.get(phase);
+                values.push(ms);
+                if (values.length > this._sampleSize) values.shift();
+            }
+        }
+
+        /**
+         * @returns {Object} { [pattern]: { [phase]: { p50, p95, p99, count } } }
+         */
+        summary() {
+            const result = {};
+            
+            for (const [pattern, series] of this._samples) {
+                result[pattern] = {};
+                for (const [phase, values] of series) {
+                    const sorted = [...values].sort((a, b) => a - b);
+                    result[pattern][phase] = {
+                        p50: TimingStats._percentile(sorted, 0.5),
+                        p95: TimingStats._percentile(sorted, 0.95),
+                        p99: TimingStats._percentile(sorted, 0.99),
+                        count: sorted.length
+                    };
+                }
+            }
+            return result;
+        }
+
+        clear() {
+            this._samples.clear();
+        }
+
+        static _percentile(sorted, p) {
+            if (!sorted.length) return 0;
+            const index = Math.ceil(p * sorted.length) - 1;
+            return Math.round(sorted[Math.max(0, index)] * 10) / 10;
+        }
+    }
+
+    /**
+     * Telemetry Reporter (opt-in)
+     * Ring buffer of { type, time, ...data } records (error, fallback,
+     * timing, scriptError), sent in batches of batchSize and on flush().
+     * Sampling is decided once per page load, so a sampled session reports
+     * everything. The default transport is navigator.sendBeacon(url), with
+     * fetch keepalive as fallback; a custom transport receives the payload:
+     *
+     *   transport(payload, { reason }) // payload = { session, page, dropped, records }
+     *
+     * A send that fails (transport throws or returns/resolves false, fetch
+     * error) puts its records back; batches then wait for the next flush and
+     * the oldest records are dropped once bufferSize is reached. Paths and
+     * URLs are reported without query string or hash unless includeQuery.
+     */
+    class TelemetryReporter {
+        constructor(options = {}) {
+            this._url = options.url || null;
+            this._transport = options.transport || null;
+            this._batchSize = options.batchSize ?? 20;
+            this._bufferSize = Math.max(options.bufferSize ?? 100, this._batchSize);
+            this._includeQuery = options.includeQuery === true;
+            this._sampled = Math.random() < (options.sampleRate ?? 1);
+            this._session = Math.random().toString(36).slice(2, 10);
+            this._buffer = [];
+            this._dropped = 0;
+            this._failing = false;
+        }
+
+        get enabled() {
+            return this._sampled && !!(this._url || this._transport);
+        }
+
+        record(type, data = {}) {
+            if (!this.enabled) return;
+            
+            this._buffer.push({ type, time: Date.now(), ...this._scrub(data) });
+            this._trim();
+            
+            // After a failed send, records wait for the next flush
+            if (this._buffer.length >= this._batchSize && !this._failing) this.flush('batch');
+        }
+
+        flush(reason = 'manual') {
+            while (this._buffer.length) {
+                const payload = {
+                    session: this._session,
+                    page: this._scrub({ url: location.href }).url,
+                    dropped: this._dropped,
+                    records: this._buffer.splice(0, this._batchSize)
+                };
+                this._dropped = 0;
+                
+                if (!this._send(payload, reason)) {
+                    this._requeue(payload);
+                    return;
+                }
+            }
+        }
+
+        /**
+         * @returns {boolean} false when the payload was rejected outright
+         */
+        _send(payload, reason) {
+            const failed = () => this._requeue(payload);
+            const sent = () => {
+                this._failing = false;
+            };
+            
+            try {
+                if (this._transport) {
+                    const result = this._transport(payload, { reason });
+                    if (result === false) return false;
+                    
+                    Promise.resolve(result).then(value => value === false ? failed() : sent(), failed);
+                    return true;
+                }
+                
+                const body = JSON.stringify(payload);
+                if (navigator.sendBeacon?.(this._url, new Blob([body], { type: 'application/json' }))) {
+                    sent();
+                    return true;
+                }
+                
+                fetch(this._url, {
+                    method: 'POST',
+                    body,
+                    keepalive: true,
+                    credentials: 'same-origin',
+                    headers: { 'Content-Type': 'application/json' }
+                }).then(response => response.ok ? sent() : failed(), failed);
+                return true;
+            } catch (error) {
+                console.warn('[SPARouter] Telemetry not sent:', error.message);
+                return false;
+            }
+        }
+
+        _requeue(payload) {
+            this._failing = true;
+            this._buffer.unshift(...payload.records);
+            this._dropped += payload.dropped;
+            this._trim();
+        }
+
+        /**
+         * Ring buffer: the oldest records go first
+         */
+        _trim() {
+            const excess = this._buffer.length - this._bufferSize;
+            if (excess <= 0) return;
+            
+            this._dropped += excess;
+            this._buffer.splice(0, excess);
+        }
+
+        /**
+         * Query strings and fragments may carry tokens or personal data
+         */
+        _scrub(data) {
+            if (this._includeQuery) return data;
+            
+            const scrubbed = { ...data };
+            for (const key of ['path', 'url']) {
+                if (typeof scrubbed[key] === 'string') scrubbed[key] = scrubbed[key].split(/[?#]/)[0];
+            }
+            return scrubbed;
+        }
+    }
+
+    /**
+     * CSRF Token
+     * <meta name="csrf-token"> stays the source of truth, so other page
+     * scripts read the same token. It is refreshed from every response (the
+     * CSRF response header, else the meta tag in the page head), never from
+     * cached pages. Unsafe requests send it as a header, and in the form
+     * field when the body has one, so forms rendered before a re-login stay
+     * valid.
+     */
+    class CsrfToken {
+        constructor({ metaName = 'csrf-token', header = 'X-CSRF-TOKEN', field = '_token' } = {}) {
+            this._metaName = metaName;
+            this._header = header;
+            this._field = field;
+        }
+
+        get value() {
+            return this._meta()?.getAttribute('content') || null;
+        }
+
+        /**
+         * Add the token to an unsafe request
+         */
+        apply(method, headers, body) {
+            const token = this.value;
+            if (!token || ['GET', 'HEAD', 'OPTIONS'].includes(method)) return;
+            
+            if (this._header) headers[this._header] = token;
+            if (this._field && typeof body?.has === 'function' && body.has(this._field)) {
+                body.set(this._field, token);
+            }
+        }
+
+        /**
+         * @param {Response} response
+         * @param {string} [html] - Body of a page response
+         */
+        refresh(response, html = null) {
+            if (!this._metaName) return;
+            
+            const token = (this._header && response.headers.get(this._header)) ||
+                          (html && this._fromHTML(html));
+            if (!token || token === this.value) return;
+            
+            this.set(token);
+        }
+
+        /**
+         * Replace the token sent with later requests
+         */
+        set(token) {
+            if (!this._metaName) return;
+            
+            let meta = this._meta();
+            if (!meta) {
+                meta = document.createElement('meta');
+                meta.setAttribute('name', this._metaName);
+                document.head.appendChild(meta);
+            }
+            meta.setAttribute('content', token);
+        }
+
+        _meta() {
+            return this._metaName
+                ? document.head.querySelector(`meta[name="${CSS.escape(this._metaName)}"]`)
+                : null;
+        }
+
+        /**
+         * Token from the page head, without parsing the whole document
+         * (DOMParser would also need a Trusted Types policy)
+         */
+        _fromHTML(html) {
+            const end = html.search(/<\/head>/i);
+            if (end === -1) return null;
+            
+            for (const [tag] of html.slice(0, end).matchAll(/<meta\b[^>]*>/gi)) {
+                // Whitespace-anchored: data-name= and similar must not match
+                const name = tag.match(/\sname\s*=\s*["']?([^"'\s>]+)/i)?.[1];
+                if (name !== this._metaName) continue;
+                
+                const match = tag.match(/\scontent\s*=\s*(?:(["'])(.*?)\1|([^"'\s>]+))/i);
+                const content = match ? (match[2] ?? match[3]) : '';
+                return CsrfToken._decodeEntities(content) || null;
+            }
+            return null;
+        }
+
+        /**
+         * Character references an attribute value may contain
+         */
+        static _decodeEntities(value) {
+            const named = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+            
+            return value.replace(/&(#x[0-9a-f]+|#\d+|amp|quot|apos|lt|gt);/gi, (match, entity) => {
+                if (entity[0] !== '#') return named[entity.toLowerCase()];
+                
+                const code = entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+            });
+        }
+    }
+
+    /**
+     * Session Guard
+     * Recognises an expired session: a configured status (401, 419), a
+     * redirect to the login page or a marker (string or RegExp) in the page
+     * body. Navigations that expire while onExpired() is pending (e.g. a
+     * login dialog) share that one recovery.
+     */
+    class SessionGuard {
+        constructor({
+            statuses = [401, 419],
+            marker = null,
+            loginUrl = null,
+            redirectParam = 'redirect',
+            onExpired = null
+        } = {}) {
+            this._statuses = statuses;
+            this._marker = marker;
+            this._loginUrl = loginUrl;
+            this._loginPath = loginUrl ? new URL(loginUrl, location.href).pathname : null;
+            this._redirectParam = redirectParam;
+            this._onExpired = onExpired;
+            this._recovery = null;
+        }
+
+        /**
+         * @param {number} status
+         * @param {Object} [page] - { path, redirected, html } of a successful response
+         */
+        isExpired(status, page = null) {
+            if (this._statuses.includes(status)) return true;
+            if (!page) return false;
+            
+            if (page.redirected && this._loginPath && page.path.split('?')[0] === this._loginPath) {
+                return true;
+            }
+            if (!this._marker || typeof page.html !== 'string') return false;
+            
+            return this._marker instanceof RegExp
+                ? this._marker.test(page.html)
+                : page.html.includes(this._marker);
+        }
+
+        get canRecover() {
+            return typeof this._onExpired === 'function';
+        }
+
+        /**
+         * @returns {Promise<boolean|string>} true, or the new CSRF token,
+         *   once re-authenticated
+         */
+        recover(detail) {
+            if (!this._recovery) {
+                this._recovery = Promise.resolve()
+                    .then(() => this._onExpired(detail))
+                    .then(result => (typeof result === 'string' && result) || Boolean(result))
+                    .finally(() => {
+                        this._recovery = null;
+                    });
+            }
+            return this._recovery;
+        }
+
+        /**
+         * Login page with the page to return to, or null when not configured
+         */
+        loginUrl(returnTo) {
+            if (!this._loginUrl) return null;
+            
+            const url = new URL(this._loginUrl, location.href);
+            if (this._redirectParam) url.searchParams.set(this._redirectParam, returnTo);
+            return url.href;
+        }
+    }
+
+    /**
+     * Plugin Host
+     * Runs plugin hooks around the navigation lifecycle in registration
+     * order. Hooks may be async; one context object is shared by all hooks
+     * of a navigation (plugins may keep their own data on it):
+     *
+     *   beforeNavigate(ctx) - ctx.type ('navigate' | 'submit'), ctx.path
+     *   request(ctx)        - ctx.request { url, method, headers, body,
+     *                         credentials }, mutable
+     *   response(ctx)       - ctx.response (a clone of the Response, its
+     *                         body free to read); setting ctx.html replaces
+     *                         the body
+     *   beforeSwap(ctx)     - ctx.page, ctx.document, ctx.content, ctx.container
+     *                         (before the head, title or content change)
+     *   afterSwap(ctx)      - new content, route, focus and scroll in place
+     *   onError(ctx)        - ctx.error
+     *
+     * Returning false short-circuits: later plugins are skipped and the
+     * navigation is abandoned (onError: the error counts as handled,
+     * afterSwap: nothing else). A hook that throws is reported and skipped.
+     *
+     * request/response run per network request, not per consumer: a
+     * navigation that joins an in-flight prefetch of the same page shares
+     * that request, whose hooks ran with the prefetch's context.
+     */
+    class PluginHost {
+        constructor(onError = null) {
+            this._plugins = [];
+            this._onError = onError;
+        }
+
+        /**
+         * @returns {Function} Remove the plugin
+         */
+        add(plugin) {
+            this._plugins.push(plugin);
+            return () => {
+                const index = this._plugins.indexOf(plugin);
+                if (index !== -1) this._plugins.splice(index, 1);
+            };
+        }
+
+        has(hook) {
+            return this._plugins.some(plugin => typeof plugin[hook] === 'function');
+        }
+
+        /**
+         * @returns {Promise<boolean>} false when a hook short-circuited
+         */
+        async run(hook, ctx) {
+            for (const plugin of this._plugins.slice()) {
+                if (typeof plugin[hook] !== 'function') continue;
+                
+                try {
+                    if (await plugin[hook](ctx) === false) return false;
+                } catch (error) {
+                    this._onError?.(error, plugin, hook);
+                }
+            }
+            return true;
+        }
+
+        clear() {
+            this._plugins.length = 0;
+        }
+
+        /**
+         * Built-in plugin: Chart.js animation defaults matched to the device,
+         * set before the scripts of the new content create their charts
+         */
+        static chartDefaults(device) {
+            return {
+                name: 'chart-defaults',
+                beforeSwap() {
+                    if (!window.Chart) return;
+                    Chart.defaults.animation = device.isLow
+                        ? false
+                        : { duration: device.level === 'medium' ? 400 : 750 };
+                }
+            };
+        }
+    }
+
+    /**
+     * Error wrapper with additional context for debugging
+     */
+    class SPAError extends Error {
+        constructor(message, context = {}) {
+            super(message);
+            this.name = 'SPAError';
+            this.context = context;
+            this.timestamp = Date.now();
+        }
+
+        toJSON() {
+            return {
+                name: this.name,
+                message: this.message,
+                context: this.context,
+                timestamp: this.timestamp,
+                stack: this.stack
+            };
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // MAIN ROUTER CLASS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    class SPARouter {
+        constructor(options = {}) {
+            // Merge options with defaults
+            this._config = { ...CONFIG, ...options };
+            
+            // Initialize utilities
+            this._cache = new LRUCache(
+                this._config.CACHE_MAX_SIZE,
+                this._config.CACHE_MODE === 'swr'
+                    ? this._config.CACHE_STALE_MAX_MS
+                    : this._config.CACHE_TTL_MS
+            );
+            this._persistent = this._config.PERSISTENT_CACHE && PersistentCache.isSupported
+                ? new PersistentCache(
+                    this._config.PERSISTENT_CACHE_NAME,
+                    this._config.PERSISTENT_CACHE_MAX_ENTRIES,
+                    this._config.PERSISTENT_CACHE_MAX_AGE_MS
+                )
+                : null;
+            this._policy = this._createTrustedTypesPolicy();
+            this._telemetry = new TelemetryReporter(this._config.TELEMETRY || {});
+            this._scriptLoader = new ScriptLoader(this._config.DEBUG, {
+                nonce: this._detectNonce(),
+                policy: this._policy,
+                // Never the script source: inline code may hold tokens
+                onError: ({ message }) => {
+                    this._telemetry.record('scriptError', { message, path: this.currentPath });
+                }
+            });
+            this._cleanup = new CleanupRegistry(this._config.DEBUG);
+            this._cleanup.registerAdapter('chart', CleanupRegistry.chartAdapter);
+            this._csrf = new CsrfToken({
+                metaName: this._config.CSRF_META_NAME,
+                header: this._config.CSRF_HEADER,
+                field: this._config.CSRF_FIELD
+            });
+            this._session = this._config.SESSION_EXPIRY
+                ? new SessionGuard(this._config.SESSION_EXPIRY)
+                : null;
+            this._head = new HeadManager(this._scriptLoader, {
+                stylesheetTimeoutMs: this._config.STYLESHEET_TIMEOUT_MS,
+                htmlAttributes: this._config.SYNC_HTML_ATTRIBUTES,
+                bodyAttributes: this._config.SYNC_BODY_ATTRIBUTES,
+                preservedMeta: [...(this._config.PRESERVED_META || []), this._config.CSRF_META_NAME].filter(Boolean),
+                debug: this._config.DEBUG
+            });
+            this._linkValidator = new LinkValidator({
+                forbiddenPathSegments: this._config.FORBIDDEN_PATH_SEGMENTS,
                 forbiddenPathPrefixes: this._config.FORBIDDEN_PATH_PREFIXES,
                 forbiddenExactPaths: this._config.FORBIDDEN_EXACT_PATHS,
-                allowlist: this._config.ALLOWLIST
+                forbiddenPatterns: this._config.FORBIDDEN_PATTERNS,
+                allowlist: this._config.ALLOWLIST,
+                basePath: this._config.BASE_PATH
             });
             this._device = new DeviceCapability();
+            this._transitions = new TransitionManager(this._device, {
+                viewTransitions: this._config.VIEW_TRANSITIONS
+            });
+            this._routes = new RouteTable();
+            this._timingStats = new TimingStats(this._config.TIMING_SAMPLE_SIZE);
+            this._plugins = new PluginHost((error, plugin, hook) => {
+                this._recordError(error, { action: 'plugin', plugin: plugin.name || null, hook });
+            });
+            this._plugins.add(PluginHost.chartDefaults(this._device));
+            this._focus = new FocusManager({
+                moveFocus: this._config.FOCUS_ON_NAVIGATE,
+                headingSelector: this._config.FOCUS_HEADING_SELECTOR,
+                announceTitle: this._config.ANNOUNCE_TITLE
+            });
+            this._loading = new LoadingIndicator({
+                delayMs: this._config.LOADING_DELAY_MS,
+                progressBar: this._config.PROGRESS_BAR,
+                ariaBusy: this._config.LOADING_ARIA_BUSY,
+                skeletons: this._config.LOADING_SKELETONS,
+                onShow: detail => this._emit(CONFIG.EVENTS.LOADING_SHOW, detail),
+                onHide: detail => this._emit(CONFIG.EVENTS.LOADING_HIDE, detail)
+            });
+            this._prefetcher = new Prefetcher(this._device, {
+                mode: this._config.PREFETCH,
+                selector: this._config.PREFETCH_SELECTOR || `a${this._config.NAV_ITEM_SELECTOR}`,
+                delayMs: this._config.PREFETCH_DELAY_MS,
+                onPrefetch: link => {
+                    const href = this._hrefOf(link);
+                    if (this._linkValidator.isNavigable(href, this.currentURL, link)) this.prefetch(href);
+                }
+            });
+            this._scheduler = new RequestScheduler({
+                prefetchConcurrency: this._config.PREFETCH_CONCURRENCY
+            });
+            
+            // State
+            this._isTransitioning = false;
+            this._navigation = null;
+            this._navigationId = 0;
+            this._scrollTimer = null;
+            this._historyIndex = history.state?.index || 0;
+            this._renderedPath = location.pathname + location.search;
+            this._activeRoute = null;
+            this._offlinePage = null;
+            this._revalidating = new Set();
+            
+            // DOM references
+            this._dom = {
+                container: null,
+                style: null
+            };
+            
+            // Bound handlers
+            this._boundHandlers = {
+                click: this._handleClick.bind(this),
+                keydown: this._handleKeyDown.bind(this),
+                hashClick: this._handleHashClick.bind(this),
+                submit: this._handleSubmit.bind(this),
+                popstate: this._handlePopState.bind(this),
+                mouseover: this._handleMouseOver.bind(this),
+                touchstart: this._handleTouchStart.bind(this),
+                scroll: this._handleScroll.bind(this),
+                online: this._handleOnline.bind(this),
+                offline: this._handleOffline.bind(this),
+                cspViolation: this._handleCspViolation.bind(this),
+                visibilityChange: this._handleVisibilityChange.bind(this),
+                pageHide: this._handlePageHide.bind(this)
+            };
+            
+            // Online status
+            this._isOnline = navigator.onLine;
+            
+            // Performance metrics
+            this._metrics = {
+                navigations: 0,
+                cacheHits: 0,
+                cacheMisses: 0,
+                staleHits: 0,
+                prefetches: 0,
+                errors: 0,
+                avgLoadTime: 0,
+                totalLoadTime: 0,
+                lastError: null
+            };
+            
+            // Initialize
+            this._init();
+        }
+
+        /**
+         * <a href> or any element with data-spa-href (buttons, table rows)
+         */
+        static get LINK_SELECTOR() {
+            return 'a[href], [data-spa-href]';
+        }
+
+        /**
+         * Elements that already follow keyboard activation with a click
+         */
+        static _activatesNatively(element) {
+            return element.matches('a[href], button, input, select, textarea, summary');
+        }
+
+        // ─────────────────────────────────────────────────────────────────────
+        // PUBLIC API
+        // ─────────────────────────────────────────────────────────────────────
+
+        /**
+         * @param {string} path
+         * @param {Object} [options]
+         * @param {string} [options.transition] - Transition name for this navigation
+         */
+        async navigate(path, options = {}) {
+            if (!this._linkValidator.isNavigable(path, this.currentURL)) return false;
+            
+            return this._navigate(this._toPath(path), options);
+        }
+
+        async prefetch(path) {
+            if (!this._linkValidator.isNavigable(path, this.currentURL)) return false;
+            
+            path = this._toPath(path);
+            if (this._isSameDocument(path)) return true;
+            if (this._cache.has(this._cacheKey(path))) return true;
+            
+            this._emit(CONFIG.EVENTS.PREFETCH_START, { path });
+            
+            try {
+                const page = await this._fetch(path, { priority: 'prefetch' });
+                this._storePage(page.path, page);
+                this._metrics.prefetches++;
+                this._emit(CONFIG.EVENTS.PREFETCH_COMPLETE, { path, success: true });
+                return true;
+            } catch (error) {
+                this._emit(CONFIG.EVENTS.PREFETCH_COMPLETE, { path, success: false, error: error.message });
+                return false;
+            }
+        }
+
+        /**
+         * Register a page controller for a path pattern
+         * Handlers receive a context { path, pattern, params, query, container, router };
+         * the same context object is passed to mount and unmount.
+         *
+         * @param {string|RegExp} pattern - e.g. '/users/:id'
+         * @param {Object} handlers
+         * @param {Function} [handlers.mount] - Called after content is swapped in
+         * @param {Function} [handlers.unmount] - Called before content is swapped out
+         * @returns {SPARouter}
+         */
+        route(pattern, handlers = {}) {
+            this._routes.add(pattern, handlers);
+            
+            // Mount immediately when it controls the page already on screen
+            if (!this._activeRoute && this._dom.container) {
+                this._mountRoute(this.currentPath);
+            }
+            
+            return this;
+        }
+
+        /**
+         * Run fn before the next content swap (once)
+         * @returns {Function} Unregister without running
+         */
+        onCleanup(fn) {
+            return this._cleanup.add(fn);
+        }
+
+        /**
+         * setInterval that is cleared before the next content swap
+         */
+        setInterval(fn, ms, ...args) {
+            const id = setInterval(fn, ms, ...args);
+            this._cleanup.add(() => clearInterval(id));
+            return id;
+        }
+
+        /**
+         * setTimeout that is cleared before the next content swap
+         */
+        setTimeout(fn, ms, ...args) {
+            const id = setTimeout(fn, ms, ...args);
+            this._cleanup.add(() => clearTimeout(id));
+            return id;
+        }
+
+        /**
+         * addEventListener that is removed before the next content swap
+         * @returns {Function} Remove the listener now
+         */
+        addEventListener(target, type, listener, options) {
+            target.addEventListener(type, listener, options);
+            const remove = () => target.removeEventListener(type, listener, options);
+            const unregister = this._cleanup.add(remove);
+            
+            return () => {
+                unregister();
+                remove();
+            };
+        }
+
+        /**
+         * Add a plugin (see PluginHost)
+         * @param {Object} plugin - { name?, beforeNavigate?, request?, response?,
+         *                           beforeSwap?, afterSwap?, onError? }
+         * @returns {Function} Remove the plugin
+         */
+        use(plugin) {
+            return this._plugins.add(plugin);
+        }
+
+        /**
+         * Register a component adapter (see CleanupRegistry)
+         * @param {string} name - Matches data-spa-component="name"
+         * @param {Object} adapter - { selector?, init?(element), destroy(element, state) }
+         * @returns {SPARouter}
+         */
+        registerComponent(name, adapter) {
+            this._cleanup.registerAdapter(name, adapter);
+            
+            if (this._dom.container) {
+                this._cleanup.mount(this._dom.container, [name]);
+            }
+            
+            return this;
+        }
+
+        /**
+         * Register a custom transition strategy (see TransitionManager)
+         * @param {string} name - Used with TRANSITION or data-spa-transition
+         * @param {Object} strategy - { out(container, ctx), in(container, ctx), viewTransition }
+         * @returns {SPARouter}
+         */
+        registerTransition(name, strategy) {
+            this._transitions.register(name, strategy);
+            return this;
+        }
+
+        clearCache() {
+            const previousSize = this._cache.size;
+            const previousKeys = this._cache.getStats().keys;
+            this._cache.clear();
+            this._emit(CONFIG.EVENTS.CACHE_CLEARED, { 
+                previousSize, 
+                clearedPaths: previousKeys 
+            });
+        }
+
+        /**
+         * Evict cached pages (memory and persistent tier).
+         * Criteria are OR-ed; each accepts a string or an array.
+         * @param {Object} criteria
+         * @param {string|string[]} [criteria.path] - Exact path, any query string
+         * @param {string|string[]} [criteria.prefix] - Path prefix
+         * @param {string|string[]} [criteria.tag] - Tag from the page's cache directive
+         * @returns {string[]} Evicted paths (memory cache)
+         */
+        invalidate(criteria = {}) {
+            const matches = CachePolicy.matcher(criteria);
+            const paths = this._cache.deleteWhere((key, entry) => matches(key, entry.tags));
+            this._persistent?.deleteWhere(matches);
+            
+            this._emit(CONFIG.EVENTS.CACHE_INVALIDATED, { paths, criteria });
+            return paths;
+        }
+
+        /**
+         * Remove every page from the persistent offline tier
+         * (call on logout so saved pages do not outlive the session)
+         */
+        async purgeOfflineCache() {
+            if (!this._persistent) return;
+            
+            const clearedPaths = await this._persistent.keys();
+            await this._persistent.clear();
+            this._emit(CONFIG.EVENTS.CACHE_CLEARED, { persistent: true, clearedPaths });
+        }
+
+        getMetrics() {
+            return {
+                ...this._metrics,
+                cacheStats: this._cache.getStats(),
+                persistentCache: !!this._persistent,
+                timings: this._timingStats.summary(),
+                pendingRequests: this._scheduler.pending,
+                deviceCapability: this._device.level,
+                isOnline: this._isOnline
+            };
+        }
+
+        /**
+         * Why an href or link element is (not) handled by the router
+         * @param {string|Element} target - href, <a> or [data-spa-href] element
+         * @returns {Object} { navigable, reason, rule }
+         */
+        explain(target) {
+            const element = typeof target === 'string' ? null : target;
+            const href = element ? this._hrefOf(element) : target;
+            return this._linkValidator.explain(href, this.currentURL, element);
+        }
+
+        /**
+         * Telemetry reporter (flush() on demand, e.g. in tests)
+         */
+        get telemetry() {
+            return this._telemetry;
+        }
+
+        /**
+         * Get link validator for runtime configuration
+         */
+        get linkValidator() {
+            return this._linkValidator;
+        }
+
+        /**
+         * Enable/disable debug mode
+         */
+        setDebug(enabled) {
+            this._config.DEBUG = enabled;
+            this._scriptLoader._debug = enabled;
+            this._head._debug = enabled;
+            this._cleanup._debug = enabled;
+        }
+
+        destroy() {
+            this._cancelNavigation('destroyed');
+            this._scheduler.cancelAll();
+            this._loading.destroy();
+            this._focus.destroy();
+            this._prefetcher.destroy();
+            clearTimeout(this._scrollTimer);
+            
+            document.removeEventListener('click', this._boundHandlers.click, true);
+            document.removeEventListener('click', this._boundHandlers.hashClick);
+            document.removeEventListener('keydown', this._boundHandlers.keydown);
+            document.removeEventListener('submit', this._boundHandlers.submit);
+            document.removeEventListener('mouseover', this._boundHandlers.mouseover, true);
+            document.removeEventListener('touchstart', this._boundHandlers.touchstart, true);
+            document.removeEventListener('scroll', this._boundHandlers.scroll, true);
+            window.removeEventListener('popstate', this._boundHandlers.popstate);
+            window.removeEventListener('online', this._boundHandlers.online);
+            window.removeEventListener('offline', this._boundHandlers.offline);
+            document.removeEventListener('securitypolicyviolation', this._boundHandlers.cspViolation);
+            document.removeEventListener('visibilitychange', this._boundHandlers.visibilityChange);
+            window.removeEventListener('pagehide', this._boundHandlers.pageHide);
+            this._telemetry.flush('destroy');
+            
+            if (this._config.SCROLL_RESTORATION && 'scrollRestoration' in history) {
+                history.scrollRestoration = 'auto';
+            }
+            
+            this._unmountRoute();
+            this._cleanup.run(this._dom.container);
+            this._dom.style?.remove();
+            this._cache.clear();
+            this._scriptLoader.clear();
+            this._routes.clear();
+            this._plugins.clear();
+            this._dom.container = null;
+            this._dom.style = null;
+            
+            if (window.spaRouter === this) {
+                delete window.spaRouter;
+            }
+            
+            console.info('[SPARouter] Destroyed');
+        }
+
+        /**
+         * Path and query of the page on screen
+         */
+        get currentPath() {
+            return location.pathname + location.search;
+        }
+
+        /**
+         * Path, query and fragment
+         */
+        get currentURL() {
+            return location.pathname + location.search + location.hash;
+        }
+
+        get isOnline() {
+            return this._isOnline;
+        }
+
+        // ─────────────────────────────────────────────────────────────────────
+        // INITIALIZATION
+        // ─────────────────────────────────────────────────────────────────────
+
+        _init() {
+            this._dom.container = document.querySelector(this._config.CONTAINER_SELECTOR);
+            
+            if (!this._dom.container) {
+                console.error('[SPARouter] Container not found:', this._config.CONTAINER_SELECTOR);
+                return;
+            }
+            
+            this._injectStyles();
+            
+            if (this._config.SCROLL_RESTORATION && 'scrollRestoration' in history) {
+                history.scrollRestoration = 'manual';
+            }
+            
+            history.replaceState(
+                { path: this.currentURL, spa: true, index: this._historyIndex },
+                '',
+                this.currentURL
+            );
+            
+            document.addEventListener('click', this._boundHandlers.click, true);
+            // Bubble phase: page scripts (tabs, toggles) may claim hash links first
+            document.addEventListener('click', this._boundHandlers.hashClick);
+            document.addEventListener('keydown', this._boundHandlers.keydown);
+            // Bubble phase so page-level validation handlers can cancel first
+            document.addEventListener('submit', this._boundHandlers.submit);
+            document.addEventListener('mouseover', this._boundHandlers.mouseover, { passive: true, capture: true });
+            document.addEventListener('touchstart', this._boundHandlers.touchstart, { passive: true, capture: true });
+            // Capture phase: scroll does not bubble from inner containers
+            document.addEventListener('scroll', this._boundHandlers.scroll, { passive: true, capture: true });
+            window.addEventListener('popstate', this._boundHandlers.popstate);
+            window.addEventListener('online', this._boundHandlers.online);
+            window.addEventListener('offline', this._boundHandlers.offline);
+            document.addEventListener('securitypolicyviolation', this._boundHandlers.cspViolation);
+            
+            if (this._telemetry.enabled) {
+                document.addEventListener('visibilitychange', this._boundHandlers.visibilityChange);
+                window.addEventListener('pagehide', this._boundHandlers.pageHide);
+            }
+            
+            if (this._config.OFFLINE_PAGE && this._isOnline) {
+                this._warmOfflinePage();
+            }
+            
+            this._prefetcher.scan();
+            this._enhanceLinks(document);
+            
+            if (this._config.DEBUG) {
+                console.info('[SPARouter] Initialized', {
+                    container: this._config.CONTAINER_SELECTOR,
+                    device: this._device.level,
+                    cacheSize: this._config.CACHE_MAX_SIZE
+                });
+            }
+        }
+
+        _injectStyles() {
+            if (document.getElementById('spa-router-styles')) return;
+            
+            const duration = this._device.animationDuration;
+            const style = document.createElement('style');
+            style.id = 'spa-router-styles';
+            if (this._scriptLoader._nonce) style.nonce = this._scriptLoader._nonce;
+            style.textContent = `
+                ${this._config.CONTAINER_SELECTOR} {
+                    transition: opacity ${duration}ms ease, transform ${duration}ms ease;
+                    will-change: opacity, transform;
+                    contain: layout style paint;
+                    view-transition-name: spa-content;
+                }
+                ::view-transition-old(spa-content),
+                ::view-transition-new(spa-content) {
+                    animation-duration: ${duration}ms;
+                }
+                html[data-spa-transition="slide"]::view-transition-old(spa-content) {
+                    animation: spa-slide-out ${duration}ms ease both;
+                }
+                html[data-spa-transition="slide"]::view-transition-new(spa-content) {
+                    animation: spa-slide-in ${duration}ms ease both;
+                }
+                html[data-spa-transition="slide"][data-spa-direction="back"]::view-transition-old(spa-content) {
+                    animation: spa-slide-in ${duration}ms ease both reverse;
+                }
+                html[data-spa-transition="slide"][data-spa-direction="back"]::view-transition-new(spa-content) {
+                    animation: spa-slide-out ${duration}ms ease both reverse;
+                }
+                @keyframes spa-slide-out {
+                    to { opacity: 0; transform: translateX(-24px); }
+                }
+                @keyframes spa-slide-in {
+                    from { opacity: 0; transform: translateX(24px); }
+                }
+                [data-spa-stale]::before {
+                    content: attr(data-spa-stale);
+                    display: block;
+                    padding: 6px 12px;
+                    margin-bottom: 8px;
+                    border-radius: 4px;
+                    background: #fef3c7;
+                    color: #92400e;
+                    font-size: 13px;
+                }
+                .spa-announcer {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    margin: -1px;
+                    padding: 0;
+                    overflow: hidden;
+                    clip: rect(0 0 0 0);
+                    white-space: nowrap;
+                    border: 0;
+                }
+                .spa-loading {
+                    opacity: 0.7;
+                    pointer-events: none;
+                }
+                [data-spa-skeleton-active] > :not(.spa-skeleton) {
+                    display: none;
+                }
+                .spa-progress {
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    right: 0;
+                    height: 3px;
+                    z-index: 9999;
+                    background: ${this._config.PROGRESS_BAR_COLOR};
+                    transform: scaleX(0);
+                    transform-origin: left;
+                    opacity: 0;
+                    pointer-events: none;
+                    transition: transform 300ms ease, opacity 300ms ease 150ms;
+                }
+                .spa-progress[data-active] {
+                    opacity: 1;
+                    transition: transform 300ms ease;
+                }
+            `;
+            document.head.appendChild(style);
+            this._dom.style = style;
+        }
+
+        // ─────────────────────────────────────────────────────────────────────
+        // EVENT HANDLERS
+        // ─────────────────────────────────────────────────────────────────────
+
+        _handleClick(event) {
+            const link = event.target.closest(SPARouter.LINK_SELECTOR);
+            if (!link) return;
             
-            // State
-            this._isTransitioning = false;
-            this._abortController = null;
-            this._prefetchTimer = null;
-            this._activeCharts = new Set();
+            // Controls inside a clickable row keep their own behavior
+            const control = event.target.closest('a, button, input, select, textarea, label, summary');
+            if (control && control !== link && link.contains(control)) return;
             
-            // DOM references
-            this._dom = {
-                container: null,
-                style: null
-            };
+            const href = this._hrefOf(link);
+            const native = link.matches('a[href]');
             
-            // Bound handlers
-            this._boundHandlers = {
-                click: this._handleClick.bind(this),
-                popstate: this._handlePopState.bind(this),
-                mouseover: this._handleMouseOver.bind(this),
-                online: this._handleOnline.bind(this),
-                offline: this._handleOffline.bind(this)
-            };
+            if (!this._linkValidator.isNavigable(href, this.currentURL, link)) {
+                if (!native) this._followNatively(event, href);
+                return;
+            }
             
-            // Online status
-            this._isOnline = navigator.onLine;
+            if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+                if (!native) this._followNatively(event, href);
+                return;
+            }
+            if (event.button !== 0) return;
             
-            // Performance metrics
-            this._metrics = {
-                navigations: 0,
-                cacheHits: 0,
-                cacheMisses: 0,
-                prefetches: 0,
-                errors: 0,
-                avgLoadTime: 0,
-                totalLoadTime: 0,
-                lastError: null
-            };
+            // Left to _handleHashClick, after page handlers
+            if (this._isSameDocument(this._toPath(href))) return;
             
-            // Initialize
-            this._init();
+            event.preventDefault();
+            event.stopPropagation();
+            
+            this._navigate(this._toPath(href), { transition: link.dataset.spaTransition, trigger: link });
+        }
+
+        /**
+         * Enter / Space on a focused [data-spa-href] row or card acts as a
+         * click (links and buttons already do that themselves)
+         */
+        _handleKeyDown(event) {
+            if (event.defaultPrevented || (event.key !== 'Enter' && event.key !== ' ')) return;
+            if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            
+            const link = event.target.closest?.('[data-spa-href]');
+            if (!link || link !== event.target || SPARouter._activatesNatively(link)) return;
+            
+            event.preventDefault();
+            link.click();
+        }
+
+        /**
+         * A [data-spa-href] element the router does not take: do what the
+         * browser does for a link (rows and buttons have no such behavior)
+         */
+        _followNatively(event, href) {
+            if (!href || event.button !== 0) return;
+            
+            const url = this._linkValidator.resolve(href)?.href || href;
+            if (event.metaKey || event.ctrlKey || event.shiftKey) {
+                window.open(url, '_blank', 'noopener');
+            } else if (!event.altKey) {
+                location.assign(url);
+            }
+        }
+
+        /**
+         * Make [data-spa-href] rows and cards reachable and announced as links
+         */
+        _enhanceLinks(root) {
+            for (const element of root.querySelectorAll('[data-spa-href]')) {
+                if (SPARouter._activatesNatively(element)) continue;
+                if (!element.hasAttribute('role')) element.setAttribute('role', 'link');
+                if (!element.hasAttribute('tabindex')) element.tabIndex = 0;
+            }
+        }
+
+        _handleHashClick(event) {
+            if (event.defaultPrevented || event.button !== 0) return;
+            if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            
+            const link = event.target.closest(SPARouter.LINK_SELECTOR);
+            if (!link) return;
+            
+            const href = this._hrefOf(link);
+            if (!this._linkValidator.isNavigable(href, this.currentURL, link)) return;
+            
+            const path = this._toPath(href);
+            if (!this._isSameDocument(path)) return;
+            
+            event.preventDefault();
+            this._navigate(path, { trigger: link });
+        }
+
+        _handleSubmit(event) {
+            if (!this._config.HANDLE_FORMS || event.defaultPrevented) return;
+            
+            const form = event.target;
+            if (!(form instanceof HTMLFormElement)) return;
+            
+            const submitter = event.submitter || null;
+            if (form.dataset.spa === 'false' || submitter?.dataset?.spa === 'false') return;
+            
+            const method = (this._formAttr(form, submitter, 'method') || 'get').toLowerCase();
+            if (method === 'dialog') return;
+            
+            const target = this._formAttr(form, submitter, 'target');
+            if (target && target !== '_self') return;
+            
+            const url = new URL(this._formAttr(form, submitter, 'action') || location.href, document.baseURI);
+            if (url.origin !== location.origin) return;
+            if (!this._linkValidator.inScope(url.pathname)) return;
+            if (!this._linkValidator.isSubmittable(url.pathname)) return;
+            
+            // FormData never includes the submit button, append it like the browser does
+            const formData = new FormData(form);
+            if (submitter?.name) {
+                formData.append(submitter.name, submitter.value);
+            }
+            
+            event.preventDefault();
+            
+            if (method === 'get') {
+                url.search = this._serializeForm(formData).toString();
+                this._navigate(url.pathname + url.search, { transition: form.dataset.spaTransition });
+                return;
+            }
+            
+            const enctype = (this._formAttr(form, submitter, 'enctype') || '').toLowerCase();
+            const hasFiles = Array.from(formData.values()).some(value => typeof value !== 'string' && value.size > 0);
+            const body = enctype === 'multipart/form-data' || hasFiles
+                ? formData
+                : this._serializeForm(formData);
+            
+            this._submit(url.pathname + url.search, method.toUpperCase(), body, form, submitter);
+        }
+
+        _handlePopState(event) {
+            // A pending save would write the old page's offsets into the
+            // entry just arrived at
+            clearTimeout(this._scrollTimer);
+            const path = event.state?.path || this.currentURL;
+            
+            // Fragment entries of the page on screen (ours or the browser's)
+            if (path.split('#')[0] === this._renderedPath) {
+                if (event.state?.spa) this._historyIndex = event.state.index || 0;
+                this._cancelNavigation('superseded');
+                this._restoreFragmentEntry(path, event.state?.scroll);
+                return;
+            }
+            
+            if (event.state?.spa && event.state?.path) {
+                const index = event.state.index || 0;
+                const fromIndex = this._historyIndex;
+                const direction = index < fromIndex ? 'back' : 'forward';
+                this._historyIndex = index;
+                
+                const navigation = this._beginNavigation(event.state.path);
+                const context = this._pluginContext('popstate', event.state.path, {
+                    signal: navigation.controller.signal,
+                    index,
+                    fromIndex
+                });
+                
+                this._load(event.state.path, {
+                    animate: true,
+                    direction,
+                    scroll: event.state.scroll || null,
+                    focus: event.state.focus || true,
+                    signal: navigation.controller.signal,
+                    context
+                }).then(path => {
+                    if (path !== event.state.path) {
+                        history.replaceState({ path, spa: true, index }, '', path);
+                    }
+                    this._completeTiming(navigation, path);
+                }).catch(async error => {
+                    if (error.context?.cancelled) return;
+                    
+                    this._recordError(error, { path: event.state.path, action: 'popstate' });
+                    
+                    // Detached chain: nothing above would see a rejection, so
+                    // any failure while handling the error ends in a full load
+                    let handled = null;
+                    try {
+                        context.error = error;
+                        if (!await this._plugins.run('onError', context)) return;
+                        
+                        handled = await this._applyErrorPolicy(error, event.state.path, navigation, {
+                            animate: true,
+                            direction,
+                            signal: navigation.controller.signal,
+                            context
+                        });
+                    } catch (policyError) {
+                        if (this._config.DEBUG) {
+                            console.warn('[SPARouter] Error policy failed:', policyError);
+                        }
+                    }
+                    if (!handled) {
+                        this._fallbackTo(error.context?.location || event.state.path, error, 'popstate');
+                    }
+                }).finally(() => {
+                    this._endNavigation(navigation);
+                });
+            }
+        }
+
+        _handleMouseOver(event) {
+            const link = event.target.closest(SPARouter.LINK_SELECTOR);
+            if (link) this._prefetcher.hover(link);
+        }
+
+        _handleTouchStart(event) {
+            const link = event.target.closest(SPARouter.LINK_SELECTOR);
+            if (link) this._prefetcher.touch(link);
+        }
+
+        _hrefOf(element) {
+            return element.getAttribute('href') ?? element.dataset.spaHref ?? null;
+        }
+
+        _handleScroll() {
+            // Content swaps clamp scroll offsets - never save those
+            if (this._isTransitioning) return;
+            
+            clearTimeout(this._scrollTimer);
+            this._scrollTimer = setTimeout(() => {
+                this._saveScrollPosition();
+            }, this._config.SCROLL_SAVE_DELAY_MS);
+        }
+
+        _handleCspViolation(event) {
+            this._emit(CONFIG.EVENTS.CSP_VIOLATION, {
+                blockedURI: event.blockedURI,
+                violatedDirective: event.violatedDirective,
+                effectiveDirective: event.effectiveDirective,
+                sample: event.sample,
+                sourceFile: event.sourceFile,
+                lineNumber: event.lineNumber,
+                disposition: event.disposition
+            });
+        }
+
+        _handleVisibilityChange() {
+            if (document.visibilityState === 'hidden') this._telemetry.flush('hidden');
+        }
+
+        _handlePageHide() {
+            this._telemetry.flush('pagehide');
+        }
+
+        _handleOnline() {
+            this._isOnline = true;
+            this._emit(CONFIG.EVENTS.ONLINE);
+        }
+
+        _handleOffline() {
+            this._isOnline = false;
+            this._emit(CONFIG.EVENTS.OFFLINE);
         }
 
         // ─────────────────────────────────────────────────────────────────────
-        // PUBLIC API
+        // NAVIGATION
         // ─────────────────────────────────────────────────────────────────────
 
-        async navigate(path) {
-            if (this._isTransitioning) return false;
-            if (!this._linkValidator.isNavigable(path, this.currentPath)) return false;
+        /**
+         * @param {string} path
+         * @param {Object} [options]
+         * @param {string} [options.transition] - Transition name
+         * @param {HTMLElement} [options.trigger] - Element that started the
+         *                                           navigation (focus restore)
+         */
+        async _navigate(path, { transition = null, trigger = null, replay = false } = {}) {
+            const beforeEvent = this._emit(CONFIG.EVENTS.BEFORE_NAVIGATE, { path }, true);
+            if (beforeEvent.defaultPrevented) return false;
+            
+            const context = this._pluginContext('navigate', path, { trigger, replay });
+            if (!await this._runBeforeNavigate(context)) return false;
+            
+            if (this._isSameDocument(path)) {
+                this._navigateToFragment(path);
+                return true;
+            }
+            
+            // Mid-navigation the scroll offsets belong to neither page
+            if (!this._navigation) {
+                this._saveScrollPosition();
+                this._saveFocus(trigger);
+            }
+            
+            const navigation = this._beginNavigation(path);
+            const { signal } = navigation.controller;
+            const startTime = performance.now();
+            context.signal = signal;
             
-            return this._navigate(path);
+            try {
+                path = await this._load(path, { animate: true, transition, signal, context });
+                this._pushHistory(path);
+                
+                this._metrics.navigations++;
+                const loadTime = performance.now() - startTime;
+                this._metrics.totalLoadTime += loadTime;
+                this._metrics.avgLoadTime = this._metrics.totalLoadTime / this._metrics.navigations;
+                
+                this._completeTiming(navigation, path);
+                this._emit(CONFIG.EVENTS.AFTER_NAVIGATE, { path, loadTime });
+                return true;
+                
+            } catch (error) {
+                if (error.context?.cancelled) return false;
+                
+                this._recordError(error, { path, action: 'navigate' });
+                
+                context.error = error;
+                if (!await this._plugins.run('onError', context)) return false;
+                
+                const handled = await this._applyErrorPolicy(error, path, navigation, {
+                    animate: true,
+                    transition,
+                    signal,
+                    context
+                });
+                if (handled === 'render') this._pushHistory(path);
+                if (handled) return false;
+                
+                console.warn('[SPARouter] Navigation failed, falling back:', error.message);
+                this._fallbackTo(error.context?.location || path, error, 'navigate');
+                return false;
+                
+            } finally {
+                this._endNavigation(navigation);
+            }
         }
 
-        async prefetch(path) {
-            if (this._cache.has(path)) return true;
-            if (!this._linkValidator.isNavigable(path, this.currentPath)) return false;
+        async _submit(path, method, body, form, submitter, { replay = false } = {}) {
+            const beforeEvent = this._emit(CONFIG.EVENTS.BEFORE_NAVIGATE, { path, method, form }, true);
+            if (beforeEvent.defaultPrevented) return false;
             
-            this._emit(CONFIG.EVENTS.PREFETCH_START, { path });
+            const context = this._pluginContext('submit', path, {
+                method,
+                body,
+                form,
+                submitter,
+                trigger: submitter || form,
+                replay
+            });
+            if (!await this._runBeforeNavigate(context)) return false;
+            
+            if (!this._navigation) {
+                this._saveScrollPosition();
+                this._saveFocus(submitter || form);
+            }
+            
+            const navigation = this._beginNavigation(path);
+            const { signal } = navigation.controller;
+            const startTime = performance.now();
+            let page = null;
+            context.signal = signal;
             
             try {
-                const html = await this._fetch(path);
-                this._cache.set(path, html);
-                this._metrics.prefetches++;
-                this._emit(CONFIG.EVENTS.PREFETCH_COMPLETE, { path, success: true });
+                // Never retried: the request is not idempotent
+                const endFetch = this._phase('fetch');
+                page = await this._fetch(path, { method, body, signal, context });
+                endFetch();
+                this._recordRequestTiming(page);
+                if (page.redirected) {
+                    this._emit(CONFIG.EVENTS.REDIRECT, { from: path, to: page.path });
+                    path = page.path;
+                }
+                
+                await this._render(page, path, {
+                    animate: true,
+                    transition: form.dataset.spaTransition,
+                    signal,
+                    context
+                });
+                this._pushHistory(path);
+                
+                const loadTime = performance.now() - startTime;
+                this._completeTiming(navigation, path);
+                this._emit(CONFIG.EVENTS.AFTER_NAVIGATE, { path, method, loadTime });
                 return true;
+                
             } catch (error) {
-                this._emit(CONFIG.EVENTS.PREFETCH_COMPLETE, { path, success: false, error: error.message });
+                if (error.context?.cancelled) return false;
+                
+                this._recordError(error, { path, method, action: 'submit' });
+                
+                context.error = error;
+                if (!await this._plugins.run('onError', context)) return false;
+                
+                // Only HTTP errors: other failures are handled below
+                const handled = error.context?.status && await this._applyErrorPolicy(error, path, navigation, {
+                    animate: true,
+                    transition: form.dataset.spaTransition,
+                    signal,
+                    context
+                });
+                if (handled === 'render') this._pushHistory(path);
+                if (handled) return false;
+                
+                console.warn('[SPARouter] Form submission failed, falling back:', error.message);
+                
+                // Once the request left the browser the server may have applied
+                // the mutation (timeout, 5xx, ...): resubmitting could duplicate
+                // it, so load the result page, or reload the form's page
+                if (error.context?.location) {
+                    this._fallbackTo(error.context.location, error, 'submit');
+                } else if (page !== null) {
+                    this._fallbackTo(path, error, 'submit');
+                } else if (error.context?.offline) {
+                    this._telemetry.record('fallback', { url: path, action: 'nativeSubmit', message: error.message });
+                    this._nativeSubmit(form, submitter);
+                } else {
+                    this._fallbackTo(this.currentURL, error, 'submit');
+                }
                 return false;
+                
+            } finally {
+                this._endNavigation(navigation);
             }
         }
 
-        clearCache() {
-            const previousSize = this._cache.size;
-            const previousKeys = this._cache.getStats().keys;
-            this._cache.clear();
-            this._emit(CONFIG.EVENTS.CACHE_CLEARED, { 
-                previousSize, 
-                clearedPaths: previousKeys 
-            });
+        /**
+         * Context shared by the plugin hooks of one navigation
+         * @param {string} type - 'navigate' | 'submit' | 'popstate' |
+         *                        'prefetch' | 'revalidate' | 'render'
+         */
+        _pluginContext(type, path, extra = {}) {
+            return { type, path, router: this, ...extra };
+        }
+
+        /**
+         * beforeNavigate hooks may be slow (e.g. a confirm dialog): a
+         * navigation started meanwhile wins
+         */
+        async _runBeforeNavigate(context) {
+            const navigationId = this._navigationId;
+            const proceed = await this._plugins.run('beforeNavigate', context);
+            return proceed && this._navigationId === navigationId;
+        }
+
+        /**
+         * A hook returned false: the navigation is dropped like a cancelled one
+         */
+        _pluginCancelled(hook, path) {
+            return new SPAError(`Cancelled by plugin (${hook})`, { path, cancelled: true, hook });
+        }
+
+        /**
+         * A path with a fragment of the page on screen
+         */
+        _isSameDocument(path) {
+            const [page, hash] = path.split('#');
+            return hash !== undefined && page === this._renderedPath;
+        }
+
+        /**
+         * Same-document fragment: push an entry and scroll, no fetch
+         */
+        _navigateToFragment(path) {
+            this._cancelNavigation('superseded');
+            this._saveScrollPosition();
+            
+            const oldURL = location.href;
+            this._historyIndex++;
+            history.pushState({ path, spa: true, index: this._historyIndex }, '', path);
+            
+            // pushState does not fire hashchange - page scripts may rely on it
+            window.dispatchEvent(new HashChangeEvent('hashchange', { oldURL, newURL: location.href }));
+            
+            const hash = new URL(path, location.href).hash;
+            if (!this._scrollToFragment(hash, { smooth: !this._device.isLow })) {
+                this._scrollToTop();
+            }
+            
+            this._emit(CONFIG.EVENTS.AFTER_NAVIGATE, { path, loadTime: 0, sameDocument: true });
         }
 
-        getMetrics() {
-            return {
-                ...this._metrics,
-                cacheStats: this._cache.getStats(),
-                deviceCapability: this._device.level,
-                isOnline: this._isOnline
-            };
+        _restoreFragmentEntry(path, scroll) {
+            if (scroll) {
+                this._restoreScroll(scroll);
+                return;
+            }
+            
+            const hash = new URL(path, location.href).hash;
+            if (!hash || !this._scrollToFragment(hash)) {
+                this._scrollToTop();
+            }
         }
 
         /**
-         * Get link validator for runtime configuration
+         * Latest wins: starting a navigation aborts the one in flight
+         * (fetch, transition and script run) and reports it as cancelled
+         * @param {string} path
+         * @param {Object} [options]
+         * @param {boolean} [options.background] - No loading feedback
+         * @returns {Object} { id, path, controller }
          */
-        get linkValidator() {
-            return this._linkValidator;
+        _beginNavigation(path, { background = false } = {}) {
+            // A visible indicator carries over to the navigation replacing it
+            this._cancelNavigation('superseded', { keepLoading: !background });
+            
+            const navigation = {
+                id: ++this._navigationId,
+                path,
+                controller: new AbortController(),
+                timing: null
+            };
+            this._navigation = navigation;
+            this._isTransitioning = true;
+            
+            if (!background) {
+                navigation.timing = new NavigationTiming(navigation.id, path, this._config.PERFORMANCE_MARKS);
+                if (this._dom.container) this._loading.start(path, this._dom.container);
+            }
+            return navigation;
         }
 
         /**
-         * Enable/disable debug mode
+         * Start a timed phase of the current navigation
+         * @returns {Function} Ends the phase (no-op outside a navigation)
          */
-        setDebug(enabled) {
-            this._config.DEBUG = enabled;
-            this._scriptLoader._debug = enabled;
+        _phase(name) {
+            return this._navigation?.timing?.begin(name) || (() => {});
         }
 
-        destroy() {
-            this._abortController?.abort();
-            clearTimeout(this._prefetchTimer);
-            
-            document.removeEventListener('click', this._boundHandlers.click, true);
-            document.removeEventListener('mouseover', this._boundHandlers.mouseover, true);
-            window.removeEventListener('popstate', this._boundHandlers.popstate);
-            window.removeEventListener('online', this._boundHandlers.online);
-            window.removeEventListener('offline', this._boundHandlers.offline);
+        /**
+         * Record fetch timings measured by _request
+         */
+        _recordRequestTiming(page) {
+            const timing = this._navigation?.timing;
+            if (!timing || !page.timing) return;
             
-            this._destroyCharts();
-            this._dom.style?.remove();
-            this._cache.clear();
-            this._scriptLoader.clear();
-            this._activeCharts.clear();
-            this._dom.container = null;
-            this._dom.style = null;
+            const { start, headers, end } = page.timing;
+            timing.record('ttfb', start, headers);
+            timing.record('download', headers, end);
+        }
+
+        _completeTiming(navigation, path) {
+            if (!navigation.timing) return;
             
-            if (window.spaRouter === this) {
-                delete window.spaRouter;
-            }
+            const result = navigation.timing.finish();
+            const match = this._routes.match(path);
+            const pattern = match ? String(match.route.pattern) : this._cacheKey(path).split('?')[0];
             
-            console.info('[SPARouter] Destroyed');
+            this._timingStats.add(pattern, result.total, result.phases);
+            this._telemetry.record('timing', { path, pattern, total: result.total, phases: result.phases });
+            this._emit(CONFIG.EVENTS.NAVIGATION_TIMING, { ...result, path, pattern });
         }
 
-        get currentPath() {
-            return location.pathname + location.search;
+        _endNavigation(navigation) {
+            if (this._navigation !== navigation) return;
+            
+            this._navigation = null;
+            this._isTransitioning = false;
+            this._loading.stop();
+            navigation.timing?.dispose();
         }
 
-        get isOnline() {
-            return this._isOnline;
+        _cancelNavigation(reason, { keepLoading = false } = {}) {
+            const navigation = this._navigation;
+            if (!navigation) return;
+            
+            this._navigation = null;
+            this._isTransitioning = false;
+            navigation.controller.abort();
+            this._transitions.cancel();
+            if (!keepLoading) this._loading.stop();
+            navigation.timing?.dispose();
+            
+            this._emit(CONFIG.EVENTS.NAVIGATION_CANCELLED, {
+                path: navigation.path,
+                id: navigation.id,
+                reason
+            });
         }
 
-        // ─────────────────────────────────────────────────────────────────────
-        // INITIALIZATION
-        // ─────────────────────────────────────────────────────────────────────
+        /**
+         * Stale responses are never applied: bail out once superseded
+         */
+        _assertCurrent(signal, path) {
+            if (signal?.aborted) {
+                throw new SPAError('Navigation cancelled', { path, cancelled: true });
+            }
+        }
 
-        _init() {
-            this._dom.container = document.querySelector(this._config.CONTAINER_SELECTOR);
+        /**
+         * Load a page from cache or network and render it
+         * @param {string} path
+         * @param {Object} [options] - Render options (see _render)
+         * @returns {Promise<string>} Final path after redirects
+         */
+        async _load(path, options = {}) {
+            const cached = this._cache.get(this._cacheKey(path));
+            let page = cached;
             
-            if (!this._dom.container) {
-                console.error('[SPARouter] Container not found:', this._config.CONTAINER_SELECTOR);
-                return;
+            if (cached) {
+                this._metrics.cacheHits++;
+                this._emit(CONFIG.EVENTS.CACHE_HIT, { path });
+            } else {
+                try {
+                    const endFetch = this._phase('fetch');
+                    page = await this._fetchWithRetry(path, { signal: options.signal, context: options.context });
+                    endFetch();
+                    this._recordRequestTiming(page);
+                } catch (error) {
+                    if (!error.context?.networkError) throw error;
+                    // Online but unreachable (a flaky link, or a redirect fetch
+                    // cannot follow): a saved copy, else the full load
+                    await this._renderOffline(path, error, options, { inline: error.context.offline });
+                    return path;
+                }
+                
+                if (page.redirected) {
+                    this._emit(CONFIG.EVENTS.REDIRECT, { from: path, to: page.path });
+                    path = page.path;
+                }
+                
+                this._storePage(path, page, { persist: true });
+                this._metrics.cacheMisses++;
+                this._emit(CONFIG.EVENTS.CACHE_MISS, { path });
             }
             
-            this._injectStyles();
-            history.replaceState({ path: this.currentPath, spa: true }, '', this.currentPath);
-            
-            document.addEventListener('click', this._boundHandlers.click, true);
-            document.addEventListener('mouseover', this._boundHandlers.mouseover, { passive: true, capture: true });
-            window.addEventListener('popstate', this._boundHandlers.popstate);
-            window.addEventListener('online', this._boundHandlers.online);
-            window.addEventListener('offline', this._boundHandlers.offline);
+            await this._render(page, path, options);
             
-            if (this._config.DEBUG) {
-                console.info('[SPARouter] Initialized', {
-                    container: this._config.CONTAINER_SELECTOR,
-                    device: this._device.level,
-                    cacheSize: this._config.CACHE_MAX_SIZE
-                });
+            if (cached && this._config.CACHE_MODE === 'swr') {
+                this._revalidate(path, cached);
             }
+            
+            return path;
         }
 
-        _injectStyles() {
-            if (document.getElementById('spa-router-styles')) return;
+        /**
+         * Background revalidation of a cached page (stale-while-revalidate)
+         * A 304 only refreshes the entry; changed content is re-rendered in
+         * place when the page is still on screen and the user is not editing it
+         */
+        async _revalidate(path, entry) {
+            const key = this._cacheKey(path);
+            if (this._revalidating.has(key)) return;
+            this._revalidating.add(key);
             
-            const duration = this._device.animationDuration;
-            const style = document.createElement('style');
-            style.id = 'spa-router-styles';
-            style.textContent = `
-                ${this._config.CONTAINER_SELECTOR} {
-                    transition: opacity ${duration}ms ease, transform ${duration}ms ease;
-                    will-change: opacity, transform;
-                    contain: layout style paint;
+            const context = this._pluginContext('revalidate', path);
+            
+            try {
+                const page = await this._fetch(path, { validators: entry, priority: 'prefetch', context });
+                
+                if (page.notModified) {
+                    this._storeEntry(path, entry);
+                    return;
                 }
-                .spa-loading {
-                    opacity: 0.7;
-                    pointer-events: none;
+                
+                // Redirected (e.g. session expired) - do not keep serving the old copy
+                if (page.redirected) {
+                    this._cache.delete(key);
+                    return;
                 }
-            `;
-            document.head.appendChild(style);
-            this._dom.style = style;
+                
+                this._storePage(path, page, { persist: true });
+                
+                if (this._extractContent(page) === this._extractContent(entry)) return;
+                
+                const rendered = path.split('#')[0] === this.currentPath &&
+                                 !this._isTransitioning &&
+                                 !this._isEditing();
+                
+                if (rendered) {
+                    const navigation = this._beginNavigation(path, { background: true });
+                    try {
+                        await this._render(page, path, {
+                            scroll: this._captureScroll(),
+                            focus: false,
+                            signal: navigation.controller.signal,
+                            context
+                        });
+                    } finally {
+                        this._endNavigation(navigation);
+                    }
+                }
+                
+                this._emit(CONFIG.EVENTS.CONTENT_REVALIDATED, { path, rendered });
+                
+            } catch (error) {
+                if (this._config.DEBUG) {
+                    console.warn('[SPARouter] Revalidation failed:', path, error.message);
+                }
+            } finally {
+                this._revalidating.delete(key);
+            }
         }
 
-        // ─────────────────────────────────────────────────────────────────────
-        // EVENT HANDLERS
-        // ─────────────────────────────────────────────────────────────────────
-
-        _handleClick(event) {
-            const link = event.target.closest('a');
-            if (!link) return;
+        /**
+         * Cache a fetched page, honoring the server cache directive
+         * @returns {Object|null} The cache entry, or null for no-store
+         */
+        _storePage(path, page, { persist = false } = {}) {
+            const policy = this._cachePolicy(page);
+            const key = this._cacheKey(path);
             
-            const href = link.getAttribute('href');
-            if (!this._linkValidator.isNavigable(href, this.currentPath)) return;
+            if (policy.noStore) {
+                this._cache.delete(key);
+                this._persistent?.delete(key);
+                return null;
+            }
             
-            if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
-            if (event.button !== 0) return;
+            const entry = {
+                html: page.html,
+                fragment: page.fragment,
+                title: page.title,
+                meta: page.meta,
+                etag: page.etag,
+                lastModified: page.lastModified,
+                tags: policy.tags,
+                maxAgeMs: policy.maxAgeMs
+            };
             
-            event.preventDefault();
-            event.stopPropagation();
+            this._storeEntry(key, entry);
+            if (persist) {
+                this._persistent?.set(key, page.html, {
+                    tags: policy.tags,
+                    fragment: page.fragment,
+                    title: page.title,
+                    meta: page.meta
+                });
+            }
             
-            this._navigate(href);
+            return entry;
         }
 
-        _handlePopState(event) {
-            if (event.state?.spa && event.state?.path) {
-                this._load(event.state.path, false);
+        _storeEntry(path, entry) {
+            this._cache.set(this._cacheKey(path), entry, entry.maxAgeMs);
+        }
+
+        /**
+         * One entry per page: the fragment and a trailing slash are dropped,
+         * so /users, /users/, /users#top and the absolute URL share a key
+         */
+        _cacheKey(path) {
+            const url = new URL(path, location.origin);
+            let pathname = url.pathname;
+            if (pathname.length > 1 && pathname.endsWith('/')) {
+                pathname = pathname.slice(0, -1);
             }
+            return pathname + url.search;
         }
 
-        _handleMouseOver(event) {
-            if (this._device.isLow) return;
-            
-            const link = event.target.closest(`a${this._config.NAV_ITEM_SELECTOR}`);
-            if (!link) return;
+        /**
+         * Same-origin path (with query and fragment) for an href
+         */
+        _toPath(href) {
+            const url = this._linkValidator.resolve(href) || new URL(href, document.baseURI);
+            return url.pathname + url.search + url.hash;
+        }
+
+        /**
+         * Header directive wins; the meta tag is only parsed when present
+         */
+        _cachePolicy(page) {
+            let directive = page.cacheDirective;
             
-            const href = link.getAttribute('href');
-            if (!this._linkValidator.isNavigable(href, this.currentPath)) return;
+            if (!directive && page.html.includes('spa-cache')) {
+                const doc = this._parseHTML(page.html);
+                directive = doc.querySelector('meta[name="spa-cache"]')?.getAttribute('content');
+            }
             
-            clearTimeout(this._prefetchTimer);
-            this._prefetchTimer = setTimeout(() => {
-                this.prefetch(href);
-            }, this._config.PREFETCH_DELAY_MS);
+            return CachePolicy.parse(directive);
         }
 
-        _handleOnline() {
-            this._isOnline = true;
-            this._emit(CONFIG.EVENTS.ONLINE);
+        /**
+         * Container markup of a page, used to detect real changes
+         * (ignores layout noise such as rotating CSRF tokens)
+         */
+        _extractContent(page) {
+            if (page.fragment) return page.html;
+            
+            const doc = this._parseHTML(page.html);
+            return doc.querySelector(this._config.CONTAINER_SELECTOR)?.innerHTML ?? page.html;
         }
 
-        _handleOffline() {
-            this._isOnline = false;
-            this._emit(CONFIG.EVENTS.OFFLINE);
+        _isEditing() {
+            const active = document.activeElement;
+            if (!active || !this._dom.container?.contains(active)) return false;
+            
+            return active.isContentEditable ||
+                   ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName);
         }
 
-        // ─────────────────────────────────────────────────────────────────────
-        // NAVIGATION
-        // ─────────────────────────────────────────────────────────────────────
-
-        async _navigate(path) {
-            if (this._isTransitioning) return false;
+        /**
+         * Network unreachable: serve the persisted copy, then the offline
+         * page, then OFFLINE_HTML. Rethrows when none is available
+         * @param {Object} [fallbacks]
+         * @param {boolean} [fallbacks.inline=true] - Allow OFFLINE_HTML
+         */
+        async _renderOffline(path, error, options, { inline = true } = {}) {
+            const copy = await this._persistent?.get(this._cacheKey(path));
+            if (copy) {
+                this._metrics.staleHits++;
+                this._emit(CONFIG.EVENTS.STALE_CONTENT, { path, cachedAt: copy.cachedAt });
+                await this._render(copy, path, { ...options, stale: true });
+                return;
+            }
             
-            this._isTransitioning = true;
-            const startTime = performance.now();
+            const offlinePage = this._config.OFFLINE_PAGE;
+            const fallback = this._offlinePage ||
+                             (offlinePage && await this._persistent?.get(offlinePage));
             
-            const beforeEvent = this._emit(CONFIG.EVENTS.BEFORE_NAVIGATE, { path }, true);
-            if (beforeEvent.defaultPrevented) {
-                this._isTransitioning = false;
-                return false;
+            if (fallback) {
+                this._emit(CONFIG.EVENTS.OFFLINE_FALLBACK, { path });
+                await this._render(fallback, path, { ...options, mount: false });
+            } else if (inline && this._config.OFFLINE_HTML) {
+                this._emit(CONFIG.EVENTS.OFFLINE_FALLBACK, { path });
+                await this._render({ html: this._config.OFFLINE_HTML, fragment: true }, path, { ...options, mount: false });
+            } else {
+                throw error;
             }
-            
+        }
+
+        async _warmOfflinePage() {
             try {
-                await this._load(path, true);
-                history.pushState({ path, spa: true }, '', path);
-                
-                this._metrics.navigations++;
-                const loadTime = performance.now() - startTime;
-                this._metrics.totalLoadTime += loadTime;
-                this._metrics.avgLoadTime = this._metrics.totalLoadTime / this._metrics.navigations;
-                
-                this._emit(CONFIG.EVENTS.AFTER_NAVIGATE, { path, loadTime });
-                return true;
-                
+                const page = await this._fetch(this._config.OFFLINE_PAGE, { priority: 'prefetch' });
+                this._offlinePage = page;
+                this._persistent?.set(this._config.OFFLINE_PAGE, page.html, {
+                    fragment: page.fragment,
+                    title: page.title,
+                    meta: page.meta
+                });
             } catch (error) {
-                this._recordError(error, { path, action: 'navigate' });
-                
-                console.warn('[SPARouter] Navigation failed, falling back:', error.message);
-                location.href = path;
-                return false;
-                
-            } finally {
-                this._isTransitioning = false;
+                if (this._config.DEBUG) {
+                    console.warn('[SPARouter] Failed to load offline page:', error.message);
+                }
             }
         }
 
-        async _load(path, animate) {
-            let html;
-            
-            const cached = this._cache.get(path);
-            if (cached) {
-                html = cached;
-                this._metrics.cacheHits++;
-                this._emit(CONFIG.EVENTS.CACHE_HIT, { path });
+        /**
+         * Record the final path in history. A redirect back to the current
+         * page (e.g. POST-redirect-GET to self) replaces instead of pushing
+         */
+        _pushHistory(path) {
+            if (path === this.currentPath) {
+                history.replaceState({ path, spa: true, index: this._historyIndex }, '', path);
             } else {
-                html = await this._fetchWithRetry(path);
-                this._cache.set(path, html);
-                this._metrics.cacheMisses++;
-                this._emit(CONFIG.EVENTS.CACHE_MISS, { path });
+                this._historyIndex++;
+                history.pushState({ path, spa: true, index: this._historyIndex }, '', path);
             }
+        }
+
+        /**
+         * @param {Object} page - { html, fragment, title, meta } (fetched page,
+         *                        cache entry or persisted copy)
+         * @param {string} path
+         * @param {Object} [options]
+         * @param {boolean} [options.animate] - Run a transition
+         * @param {string} [options.transition] - Transition name (default from config)
+         * @param {string} [options.direction] - 'forward' | 'back'
+         * @param {Object} [options.scroll] - Saved offsets to restore
+         * @param {boolean} [options.stale] - Show the stale content indicator
+         * @param {boolean|Object} [options.focus] - true moves focus into the
+         *        new content, a saved descriptor restores it, false leaves it
+         * @param {AbortSignal} [options.signal] - Navigation signal
+         * @param {Object} [options.context] - Plugin context of the navigation
+         * @param {boolean} [options.mount=true] - Mount the path's route; false
+         *        for content that is not the route's (error and offline pages)
+         */
+        async _render(page, path, {
+            animate = false,
+            transition = null,
+            direction = 'forward',
+            scroll = null,
+            stale = false,
+            focus = true,
+            signal = null,
+            context = null,
+            mount = true
+        } = {}) {
+            context = context || this._pluginContext('render', path);
             
-            await this._updateDOM(html, animate);
+            await this._updateDOM(page, {
+                transition: animate ? (transition || this._defaultTransition(direction)) : 'none',
+                direction,
+                signal,
+                context
+            });
+            this._assertCurrent(signal, path);
+            this._renderedPath = path.split('#')[0];
             this._updateNavigation(path);
             
-            if (window.scrollY > 0) {
-                window.scrollTo({ top: 0, behavior: 'smooth' });
+            if (stale) {
+                this._dom.container.dataset.spaStale = this._config.STALE_INDICATOR_TEXT;
+            } else {
+                delete this._dom.container.dataset.spaStale;
             }
+            
+            if (mount) {
+                const endMount = this._phase('mount');
+                await this._mountRoute(path);
+                endMount();
+            }
+            this._prefetcher.scan();
+            this._enhanceLinks(this._dom.container);
+            
+            if (focus) {
+                const restore = typeof focus === 'object' && this._config.RESTORE_FOCUS ? focus : null;
+                this._focus.afterNavigate(this._dom.container, restore);
+            }
+            
+            if (scroll) {
+                this._restoreScroll(scroll);
+            } else {
+                const hash = new URL(path, location.href).hash;
+                if (!hash || !this._scrollToFragment(hash)) {
+                    this._scrollToTop();
+                }
+            }
+            
+            await this._plugins.run('afterSwap', context);
         }
 
         // ─────────────────────────────────────────────────────────────────────
         // FETCHING
         // ─────────────────────────────────────────────────────────────────────
 
-        async _fetchWithRetry(path, attempt = 0) {
+        async _fetchWithRetry(path, { signal = null, context = null } = {}, attempt = 0) {
             try {
-                return await this._fetch(path);
+                return await this._fetch(path, { signal, context });
             } catch (error) {
+                // Off-origin redirects need a full page load, not a retry
+                if (error.context?.location || error.context?.cancelled || !this._isOnline) throw error;
+                if (error.context?.sessionExpired) throw error;
+                
+                // Client errors will not change on a second try
+                const status = error.context?.status;
+                if (status >= 400 && status < 500) throw error;
+                
                 if (attempt < this._config.MAX_RETRIES) {
                     const delay = this._config.RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
                     await this._sleep(delay);
-                    return this._fetchWithRetry(path, attempt + 1);
+                    this._assertCurrent(signal, path);
+                    return this._fetchWithRetry(path, { signal, context }, attempt + 1);
                 }
                 throw error;
             }
-        }
-
-        async _fetch(path) {
-            if (!this._isOnline) {
-                throw new SPAError('Offline', { path });
+        }
+
+        /**
+         * Fetch a page. Resolves with { html, path, redirected, etag, lastModified }
+         * where path is the final same-origin path after HTTP or X-SPA-Location
+         * redirects. With validators, a 304 resolves with { notModified: true }.
+         * Off-origin redirects reject with context.location set (full page
+         * load). Network errors reject with context.networkError, plus
+         * context.offline when unreachable or context.location for a GET
+         * while online (CORS); an aborted signal with context.cancelled
+         * @param {string} path
+         * @param {Object} [options]
+         * @param {string} [options.priority] - 'navigation' | 'prefetch'
+         * @param {AbortSignal} [options.signal] - Navigation signal
+         * @param {Object} [options.context] - Plugin context (a prefetch gets its own)
+         */
+        async _fetch(path, {
+            method = 'GET',
+            body = null,
+            validators = null,
+            signal = null,
+            priority = 'navigation',
+            context = null
+        } = {}) {
+            if (!this._isOnline) {
+                throw new SPAError('Offline', { path, offline: true });
+            }
+            this._assertCurrent(signal, path);
+            
+            // Only plain GETs are shared - a conditional request may get a 304
+            const key = method === 'GET' && !validators ? this._cacheKey(path) : null;
+            context = context || this._pluginContext('prefetch', path);
+            
+            try {
+                const page = await this._scheduler.schedule(
+                    key,
+                    requestSignal => this._request(path, { method, body, validators, context }, requestSignal),
+                    { priority, signal }
+                );
+                // Consumers of a shared request must not see each other's changes
+                return { ...page };
+            } catch (error) {
+                this._assertCurrent(signal, path);
+                throw error;
+            }
+        }
+
+        async _request(path, { method = 'GET', body = null, validators = null, redirects = 0, context }, signal) {
+            const controller = new AbortController();
+            signal.addEventListener('abort', () => controller.abort(), { once: true });
+            
+            const bustParam = this._config.CACHE_BUST_PARAM;
+            const url = new URL(path, location.origin);
+            if (method === 'GET' && bustParam) {
+                url.searchParams.set(bustParam, Date.now());
+            }
+            
+            const headers = {
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': 'text/html',
+                'X-SPA-Request': 'true'
+            };
+            if (this._config.FRAGMENT_RESPONSES) {
+                headers['X-SPA-Accept-Fragment'] = 'true';
+            }
+            if (validators?.etag) {
+                headers['If-None-Match'] = validators.etag;
+            }
+            if (validators?.lastModified) {
+                headers['If-Modified-Since'] = validators.lastModified;
             }
             
-            this._abortController?.abort();
-            this._abortController = new AbortController();
+            Object.assign(headers, this._customHeaders(path, method));
+            this._csrf.apply(method, headers, body);
             
-            const url = new URL(path, location.origin);
-            url.searchParams.set('_spa', Date.now());
+            // Reset per request: retries and redirects share the context
+            const request = { url, method, headers, body, credentials: 'same-origin' };
+            context.request = request;
+            context.response = null;
+            context.html = null;
+            if (!await this._plugins.run('request', context)) {
+                throw this._pluginCancelled('request', path);
+            }
+            this._assertCurrent(signal, path);
+            
+            // A plugin may have pointed the request elsewhere: the CSRF token
+            // and cookies never leave the origin
+            request.url = new URL(request.url, location.href);
+            if (request.url.origin !== location.origin) {
+                if (this._config.CSRF_HEADER) delete request.headers[this._config.CSRF_HEADER];
+                request.credentials = 'same-origin';
+            }
             
             const timeoutId = setTimeout(() => {
-                this._abortController.abort();
+                controller.abort();
             }, this._config.FETCH_TIMEOUT_MS);
             
+            const startedAt = performance.now();
+            
             try {
-                const response = await fetch(url.href, {
-                    method: 'GET',
-                    headers: {
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'Accept': 'text/html',
-                        'X-SPA-Request': 'true'
-                    },
-                    signal: this._abortController.signal,
-                    credentials: 'same-origin'
+                const response = await fetch(request.url.href, {
+                    method: request.method,
+                    body: request.body,
+                    headers: request.headers,
+                    signal: controller.signal,
+                    credentials: request.credentials
                 });
+                const headersAt = performance.now();
                 
                 clearTimeout(timeoutId);
                 
+                // Any response may invalidate - notably a save answered with
+                // X-SPA-Location, a 304 or an error
+                const invalidation = response.headers.get('X-SPA-Invalidate');
+                if (invalidation) {
+                    this.invalidate(CachePolicy.parseInvalidation(invalidation));
+                }
+                
+                // A copy: a hook reading the body must not consume the one
+                // read below (a tee buffers it, so only when someone listens)
+                context.response = this._plugins.has('response') ? response.clone() : response;
+                if (!await this._plugins.run('response', context)) {
+                    throw this._pluginCancelled('response', path);
+                }
+                this._csrf.refresh(response);
+                
+                // Explicit server-driven redirect (the body is ignored)
+                const spaLocation = response.headers.get('X-SPA-Location');
+                if (spaLocation) {
+                    return await this._followSpaLocation(path, spaLocation, redirects, signal, context);
+                }
+                
+                if (response.status === 304) {
+                    return { html: null, path, redirected: false, notModified: true };
+                }
+                
+                if (this._session?.isExpired(response.status)) {
+                    throw this._sessionExpired(path, response.status);
+                }
+                
                 if (!response.ok) {
-                    throw new SPAError(`HTTP ${response.status}: ${response.statusText}`, {
+                    const httpError = new SPAError(`HTTP ${response.status}: ${response.statusText}`, {
                         path,
                         status: response.status,
                         statusText: response.statusText
                     });
+                    // Kept off the context so error events stay small
+                    httpError.page = await this._readErrorPage(response, path, context.html);
+                    throw httpError;
+                }
+                
+                const finalUrl = new URL(response.url || request.url.href);
+                if (bustParam) {
+                    finalUrl.searchParams.delete(bustParam);
+                }
+                
+                if (finalUrl.origin !== location.origin) {
+                    throw new SPAError('Redirected to another origin', {
+                        path,
+                        location: finalUrl.href
+                    });
+                }
+                
+                const finalPath = finalUrl.pathname + finalUrl.search;
+                
+                const cacheControl = response.headers.get('Cache-Control') || '';
+                const text = typeof context.html === 'string' ? context.html : await response.text();
+                this._csrf.refresh(response, text);
+                
+                const page = {
+                    html: text,
+                    fragment: false,
+                    title: null,
+                    meta: null,
+                    ...(response.headers.get('X-SPA-Fragment') ? this._parseFragment(response, text) : {}),
+                    path: finalPath,
+                    redirected: response.redirected && finalPath !== path,
+                    nonce: response.headers.get('X-SPA-Nonce'),
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified'),
+                    cacheDirective: response.headers.get('X-SPA-Cache') ||
+                                    (/no-store/i.test(cacheControl) ? 'no-store' : null),
+                    timing: { start: startedAt, headers: headersAt, end: performance.now() }
+                };
+                
+                // A login page served in place of the requested one
+                if (this._session?.isExpired(response.status, {
+                    path: finalPath,
+                    redirected: page.redirected || redirects > 0,
+                    html: text
+                })) {
+                    throw this._sessionExpired(path, response.status);
                 }
                 
-                return await response.text();
+                return page;
                 
             } catch (error) {
                 clearTimeout(timeoutId);
                 
+                if (signal.aborted) {
+                    throw new SPAError('Request cancelled', { path, cancelled: true });
+                }
+                
                 if (error.name === 'AbortError') {
-                    throw new SPAError('Request timeout or cancelled', { path });
+                    throw new SPAError('Request timeout', { path, timeout: true });
                 }
                 
                 if (error instanceof SPAError) throw error;
                 
-                throw new SPAError(error.message, { path, originalError: error.name });
+                // fetch() rejects with TypeError when the network is unreachable,
+                // but also on CORS failures such as a redirect to an SSO login:
+                // while online, let the browser load the page itself - only a
+                // GET can be repeated that way
+                const networkError = error.name === 'TypeError';
+                const offline = networkError && !navigator.onLine;
+                throw new SPAError(error.message, {
+                    path,
+                    originalError: error.name,
+                    offline,
+                    networkError,
+                    ...(networkError && !offline && method === 'GET'
+                        ? { location: new URL(path, location.origin).href }
+                        : {})
+                });
+            }
+        }
+
+        /**
+         * Body of an error response, when it is a page we can render
+         * @param {string|null} [html] - Body set by a response plugin
+         */
+        async _readErrorPage(response, path, html = null) {
+            const type = response.headers.get('Content-Type') || '';
+            const text = () => typeof html === 'string' ? html : response.text();
+            
+            try {
+                if (response.headers.get('X-SPA-Fragment')) {
+                    return { path, ...this._parseFragment(response, await text()) };
+                }
+                if (!type.includes('text/html')) return null;
+                
+                return { html: await text(), fragment: false, title: null, meta: null, path };
+            } catch {
+                return null;
+            }
+        }
+
+        /**
+         * Fragment protocol. The response carries X-SPA-Fragment and either:
+         * - an HTML body with the container markup only, plus optional
+         *   X-SPA-Title (percent-encoded) and X-SPA-Meta (query string,
+         *   e.g. description=...&canonical=...) headers
+         * - a JSON envelope { html, title, meta } (Content-Type: application/json)
+         */
+        _parseFragment(response, text) {
+            if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+                const envelope = JSON.parse(text);
+                return {
+                    html: envelope.html || '',
+                    fragment: true,
+                    title: envelope.title || null,
+                    meta: envelope.meta || null
+                };
+            }
+            
+            let title = response.headers.get('X-SPA-Title');
+            const meta = response.headers.get('X-SPA-Meta');
+            
+            try {
+                title = title && decodeURIComponent(title);
+            } catch {
+                // Not percent-encoded - use as-is
+            }
+            
+            return {
+                html: text,
+                fragment: true,
+                title: title || null,
+                meta: meta ? Object.fromEntries(new URLSearchParams(meta)) : null
+            };
+        }
+
+        /**
+         * Follows within the same scheduled request (a nested schedule
+         * could wait behind its own parent in the prefetch queue)
+         */
+        async _followSpaLocation(path, spaLocation, redirects, signal, context) {
+            const target = new URL(spaLocation, location.href);
+            
+            if (target.origin !== location.origin) {
+                throw new SPAError('Redirected to another origin', { path, location: target.href });
             }
+            
+            if (redirects >= this._config.MAX_REDIRECTS) {
+                throw new SPAError('Too many redirects', { path, location: target.href });
+            }
+            
+            const page = await this._request(target.pathname + target.search, {
+                redirects: redirects + 1,
+                context
+            }, signal);
+            page.redirected = true;
+            return page;
+        }
+
+        /**
+         * REQUEST_HEADERS resolved for one request
+         */
+        _customHeaders(path, method) {
+            const option = this._config.REQUEST_HEADERS;
+            const request = { path, method };
+            const entries = typeof option === 'function' ? option(request) : option;
+            const headers = {};
+            
+            for (const [name, value] of Object.entries(entries || {})) {
+                const resolved = typeof value === 'function' ? value(request) : value;
+                if (resolved !== null && resolved !== undefined && resolved !== '') {
+                    headers[name] = String(resolved);
+                }
+            }
+            return headers;
+        }
+
+        _sessionExpired(path, status) {
+            return new SPAError('Session expired', { path, status, sessionExpired: true });
         }
 
         // ─────────────────────────────────────────────────────────────────────
         // DOM UPDATES
         // ─────────────────────────────────────────────────────────────────────
 
-        async _updateDOM(html, animate) {
-            const doc = new DOMParser().parseFromString(html, 'text/html');
-            const newContent = doc.querySelector(this._config.CONTAINER_SELECTOR);
+        _defaultTransition(direction) {
+            return (direction === 'back' && this._config.TRANSITION_BACK) || this._config.TRANSITION;
+        }
+
+        async _updateDOM(page, { transition = 'none', direction = 'forward', signal = null, context } = {}) {
+            this._assertCurrent(signal);
+            this._loading.phase('parse');
+            const endParse = this._phase('parse');
+            const { html, fragment } = page;
+            const doc = fragment ? null : this._parseHTML(html);
+            const newContent = doc?.querySelector(this._config.CONTAINER_SELECTOR);
+            endParse();
             
             const container = this._dom.container || 
                               document.querySelector(this._config.CONTAINER_SELECTOR);
             
-            if (!newContent || !container) {
+            if ((!fragment && !newContent) || !container) {
                 throw new SPAError('Container not found in response', {
                     selector: this._config.CONTAINER_SELECTOR,
-                    hasNewContent: !!newContent,
+                    hasNewContent: fragment || !!newContent,
                     hasContainer: !!container
                 });
             }
             
-            const newTitle = doc.querySelector('title')?.textContent;
-            if (newTitle) document.title = newTitle;
+            // Before any head or title change: a cancelled swap leaves the
+            // current page untouched
+            Object.assign(context, { page, document: doc, content: newContent || null, container });
+            if (!await this._plugins.run('beforeSwap', context)) {
+                throw this._pluginCancelled('beforeSwap', context.path);
+            }
+            this._assertCurrent(signal);
             
-            this._updateMetaTags(doc);
-            this._destroyCharts();
+            this._adoptNonce(page.nonce ||
+                doc?.querySelector('meta[name="csp-nonce"], meta[property="csp-nonce"]')?.content);
             
-            if (animate && !this._device.isLow) {
-                await this._animateOut(container);
+            let staleStylesheets = [];
+            if (doc) {
+                const endHead = this._phase('head');
+                staleStylesheets = await this._head.update(doc, signal);
+                endHead();
+                this._assertCurrent(signal);
+                
+                // Last check passed and the head is committed: the title follows
+                const newTitle = doc.querySelector('title')?.textContent;
+                if (newTitle) document.title = newTitle;
+            } else {
+                if (page.title) document.title = page.title;
+                if (page.meta) this._head.updateMeta(page.meta);
             }
             
-            container.innerHTML = newContent.innerHTML;
-            this._dom.container = container;
+            const endTeardown = this._phase('teardown');
+            await this._unmountRoute();
+            this._cleanup.run(container);
+            endTeardown();
             
-            await this._nextFrame();
-            await this._runScripts(container);
-            this._reinitializeComponents();
-            this._animateIn(container);
+            // Everything before the update callback is the "out" animation
+            const transitionStart = performance.now();
+            const transitionIn = await this._transitions.swap(container, transition, direction, () => {
+                this._navigation?.timing?.record('transition', transitionStart, performance.now());
+                const endSwap = this._phase('swap');
+                container.innerHTML = this._trustedHTML(fragment ? html : newContent.innerHTML);
+                this._loading.swapped(container);
+                endSwap();
+            }, signal);
+            this._assertCurrent(signal);
+            this._dom.container = container;
+            staleStylesheets.forEach(link => link.remove());
             
-            this._emit(CONFIG.EVENTS.CONTENT_LOADED);
-        }
-
-        _updateMetaTags(doc) {
-            const newDesc = doc.querySelector('meta[name="description"]');
-            const oldDesc = document.querySelector('meta[name="description"]');
-            if (newDesc && oldDesc) {
-                oldDesc.setAttribute('content', newDesc.getAttribute('content') || '');
+            try {
+                await this._nextFrame();
+                this._loading.phase('script');
+                const endScript = this._phase('script');
+                await this._runScripts(container, signal);
+                this._assertCurrent(signal);
+                this._cleanup.mount(container);
+                endScript();
+            } finally {
+                transitionIn();
             }
             
-            const newCanonical = doc.querySelector('link[rel="canonical"]');
-            const oldCanonical = document.querySelector('link[rel="canonical"]');
-            if (newCanonical && oldCanonical) {
-                oldCanonical.setAttribute('href', newCanonical.getAttribute('href') || '');
-            }
-        }
-
-        async _animateOut(element) {
-            element.style.opacity = '0';
-            element.style.transform = 'translateY(-10px)';
-            await this._sleep(this._device.animationDuration);
-        }
-
-        _animateIn(element) {
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
+            this._emit(CONFIG.EVENTS.CONTENT_LOADED);
         }
 
         /**
          * Run scripts from new content
          * Handles both classic scripts and ES modules
          */
-        async _runScripts(container) {
+        async _runScripts(container, signal = null) {
             const scripts = container.querySelectorAll('script');
             
             for (const script of scripts) {
+                if (signal?.aborted) return;
+                
                 const type = script.getAttribute('type');
                 const isModule = type === 'module';
                 
@@ -983,57 +4669,375 @@
             }
         }
 
-        _reinitializeComponents() {
-            if (window.Chart) {
-                Chart.defaults.animation = this._device.isLow 
-                    ? false 
-                    : { duration: this._device.level === 'medium' ? 400 : 750 };
-                
-                if (Chart.instances) {
-                    for (const chart of Object.values(Chart.instances)) {
-                        this._activeCharts.add(chart);
-                    }
+        _updateNavigation(path) {
+            const items = document.querySelectorAll(this._config.NAV_ITEM_SELECTOR);
+            
+            for (const item of items) {
+                const url = this._linkValidator.resolve(item.getAttribute('href'));
+                const href = url && url.pathname + url.search;
+                const isActive = !!href && (href === path ||
+                                 (path !== '/' && href !== '/' && path.startsWith(href)));
+                item.classList.toggle('active', isActive);
+            }
+        }
+
+        // ─────────────────────────────────────────────────────────────────────
+        // ROUTES
+        // ─────────────────────────────────────────────────────────────────────
+
+        async _mountRoute(path) {
+            const match = this._routes.match(path);
+            if (!match) return;
+            
+            const url = new URL(path, location.origin);
+            const ctx = {
+                path,
+                pattern: match.route.pattern,
+                params: match.params,
+                query: Object.fromEntries(url.searchParams),
+                container: this._dom.container,
+                router: this
+            };
+            
+            this._activeRoute = { route: match.route, ctx };
+            
+            try {
+                await match.route.handlers.mount?.(ctx);
+            } catch (error) {
+                this._recordError(error, { path, action: 'mount' });
+            }
+        }
+
+        async _unmountRoute() {
+            const active = this._activeRoute;
+            if (!active) return;
+            
+            this._activeRoute = null;
+            
+            try {
+                await active.route.handlers.unmount?.(active.ctx);
+            } catch (error) {
+                this._recordError(error, { path: active.ctx.path, action: 'unmount' });
+            }
+        }
+
+        // ─────────────────────────────────────────────────────────────────────
+        // SCROLL RESTORATION
+        // ─────────────────────────────────────────────────────────────────────
+
+        /**
+         * Scroll containers as [selector, element] pairs (missing ones skipped)
+         */
+        _scrollContainers() {
+            return (this._config.SCROLL_CONTAINERS || [])
+                .map(selector => [selector, document.querySelector(selector)])
+                .filter(([, element]) => element);
+        }
+
+        _captureScroll() {
+            const containers = {};
+            for (const [selector, element] of this._scrollContainers()) {
+                containers[selector] = { left: element.scrollLeft, top: element.scrollTop };
+            }
+            
+            return {
+                window: { left: window.scrollX, top: window.scrollY },
+                containers
+            };
+        }
+
+        /**
+         * Store current scroll offsets in the active history entry
+         */
+        _saveScrollPosition() {
+            clearTimeout(this._scrollTimer);
+            if (!this._config.SCROLL_RESTORATION || !history.state?.spa) return;
+            
+            history.replaceState(
+                { ...history.state, scroll: this._captureScroll() },
+                '',
+                location.href
+            );
+        }
+
+        /**
+         * Remember which element started the navigation, for back/forward
+         */
+        _saveFocus(trigger) {
+            if (!this._config.RESTORE_FOCUS || !history.state?.spa) return;
+            
+            history.replaceState(
+                { ...history.state, focus: this._focus.describe(trigger || document.activeElement) },
+                '',
+                location.href
+            );
+        }
+
+        _restoreScroll(scroll) {
+            if (scroll.window) {
+                window.scrollTo(scroll.window.left, scroll.window.top);
+            }
+            
+            for (const [selector, element] of this._scrollContainers()) {
+                const offset = scroll.containers?.[selector];
+                if (offset) {
+                    element.scrollLeft = offset.left;
+                    element.scrollTop = offset.top;
                 }
             }
         }
 
-        _destroyCharts() {
-            for (const chart of this._activeCharts) {
-                try {
-                    chart.destroy();
-                } catch {
-                    // Ignore
+        _scrollToTop() {
+            if (window.scrollY > 0) {
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+            
+            for (const [, element] of this._scrollContainers()) {
+                if (element.scrollTop > 0) {
+                    element.scrollTo({ top: 0, behavior: 'smooth' });
                 }
             }
-            this._activeCharts.clear();
+        }
+
+        /**
+         * Scroll to the element targeted by a URL fragment
+         * @returns {boolean} Whether a target was found
+         */
+        _scrollToFragment(hash, { smooth = false } = {}) {
+            let id;
+            try {
+                id = decodeURIComponent(hash.slice(1));
+            } catch {
+                id = hash.slice(1);
+            }
+            if (!id) return false;
             
-            if (window.Chart?.instances) {
-                const instances = Object.values(Chart.instances);
-                for (const instance of instances) {
-                    try {
-                        instance.destroy();
-                    } catch {
-                        // Ignore
-                    }
+            const target = document.getElementById(id) ||
+                           document.querySelector(`a[name="${CSS.escape(id)}"]`);
+            if (!target) return false;
+            
+            target.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto' });
+            return true;
+        }
+
+        // ─────────────────────────────────────────────────────────────────────
+        // FORMS
+        // ─────────────────────────────────────────────────────────────────────
+
+        /**
+         * Read a form attribute, honoring submitter overrides
+         * (formaction, formmethod, formenctype, formtarget)
+         */
+        _formAttr(form, submitter, name) {
+            return submitter?.getAttribute(`form${name}`) || form.getAttribute(name);
+        }
+
+        _serializeForm(formData) {
+            const params = new URLSearchParams();
+            for (const [name, value] of formData) {
+                // Files cannot be urlencoded - browsers send the file name
+                params.append(name, typeof value === 'string' ? value : value.name);
+            }
+            return params;
+        }
+
+        /**
+         * Fallback: let the browser submit the form natively
+         */
+        _nativeSubmit(form, submitter) {
+            if (!form.isConnected) return;
+            
+            const optOut = form.getAttribute('data-spa');
+            form.dataset.spa = 'false';
+            try {
+                if (typeof form.requestSubmit === 'function') {
+                    form.requestSubmit(submitter || undefined);
+                } else {
+                    form.submit();
+                }
+            } finally {
+                // The submit event is dispatched synchronously - the opt-out
+                // is only needed for this one submission
+                if (optOut === null) {
+                    form.removeAttribute('data-spa');
+                } else {
+                    form.setAttribute('data-spa', optOut);
                 }
             }
         }
 
-        _updateNavigation(path) {
-            const items = document.querySelectorAll(this._config.NAV_ITEM_SELECTOR);
+        // ─────────────────────────────────────────────────────────────────────
+        // SECURITY (CSP / TRUSTED TYPES)
+        // ─────────────────────────────────────────────────────────────────────
+
+        _detectNonce() {
+            return this._config.CSP_NONCE ||
+                   document.querySelector('meta[name="csp-nonce"], meta[property="csp-nonce"]')?.content ||
+                   document.querySelector('script[nonce]')?.nonce ||
+                   null;
+        }
+
+        /**
+         * A nonce sent with a response (X-SPA-Nonce or meta csp-nonce) only
+         * helps when the page had none: the browser keeps enforcing the
+         * policy of the initial document
+         */
+        _adoptNonce(nonce) {
+            if (nonce && !this._scriptLoader._nonce) {
+                this._scriptLoader._nonce = nonce;
+            }
+        }
+
+        _createTrustedTypesPolicy() {
+            const option = this._config.TRUSTED_TYPES_POLICY;
+            if (!option) return null;
+            if (typeof option === 'object') return option;
+            if (!window.trustedTypes?.createPolicy) return null;
             
-            for (const item of items) {
-                const href = item.getAttribute('href');
-                const isActive = href === path || 
-                                 (path !== '/' && href !== '/' && path.startsWith(href));
-                item.classList.toggle('active', isActive);
+            try {
+                // Pass-through: markup comes from our own origin. Supply a policy
+                // object instead to sanitize
+                return window.trustedTypes.createPolicy(option, {
+                    createHTML: html => html,
+                    createScript: code => code,
+                    createScriptURL: url => url
+                });
+            } catch (error) {
+                console.warn('[SPARouter] Trusted Types policy not created:', error.message);
+                return null;
             }
         }
 
+        _trustedHTML(html) {
+            return this._policy ? this._policy.createHTML(html) : html;
+        }
+
+        _parseHTML(html) {
+            return new DOMParser().parseFromString(this._trustedHTML(html), 'text/html');
+        }
+
         // ─────────────────────────────────────────────────────────────────────
         // ERROR HANDLING
         // ─────────────────────────────────────────────────────────────────────
 
+        /**
+         * Apply ERROR_POLICIES to a failed navigation
+         * @returns {Promise<string|null>} The action taken ('render', 'emit',
+         *          'redirect', 'session', 'cancelled'), or null when the
+         *          caller should fall back to a full page load
+         */
+        async _applyErrorPolicy(error, path, navigation, renderOptions) {
+            // Off-origin redirects always need a full page load
+            if (error.context?.location) return null;
+            
+            if (error.context?.sessionExpired) {
+                return this._handleSessionExpired(error, path, navigation, renderOptions.context);
+            }
+            
+            const policy = this._errorPolicy(error.context?.status);
+            
+            switch (policy.action) {
+                case 'emit':
+                    return 'emit';
+                    
+                case 'redirect':
+                    if (!policy.url) return null;
+                    this._endNavigation(navigation);
+                    if (this._linkValidator.isNavigable(policy.url, this.currentURL)) {
+                        this._navigate(this._toPath(policy.url));
+                    } else {
+                        location.href = policy.url;
+                    }
+                    return 'redirect';
+                    
+                case 'render':
+                    return this._renderError(error, path, renderOptions);
+                    
+                default:
+                    return null;
+            }
+        }
+
+        /**
+         * Expired session: await onExpired (e.g. a login dialog) and replay
+         * the navigation once re-authenticated, or load the login page.
+         * A replay that expires again goes to the login page: recovery
+         * evidently did not take (e.g. a CSRF token still stale)
+         */
+        async _handleSessionExpired(error, path, navigation, context) {
+            const status = error.context.status;
+            const type = context?.type || 'navigate';
+            
+            this._endNavigation(navigation);
+            this._emit(CONFIG.EVENTS.SESSION_EXPIRED, { path, status, type });
+            
+            if (!this._session.canRecover || context?.replay) {
+                // A submission cannot be returned to - come back to its page
+                const loginUrl = this._session.loginUrl(type === 'submit' ? this.currentURL : path);
+                if (!loginUrl) return null;
+                
+                location.href = loginUrl;
+                return 'session';
+            }
+            
+            const navigationId = this._navigationId;
+            let resume = false;
+            try {
+                resume = await this._session.recover({ path, status, type });
+                if (typeof resume === 'string') this._csrf.set(resume);
+            } catch (hookError) {
+                this._recordError(hookError, { path, action: 'sessionExpired' });
+            }
+            
+            // The user navigated elsewhere meanwhile
+            if (this._navigationId !== navigationId) return 'session';
+            
+            if (!resume) {
+                // Back/forward already moved the address bar: return to the
+                // entry whose content is still on screen
+                if (type === 'popstate' && this._historyIndex === context.index) {
+                    history.go(context.fromIndex - context.index);
+                }
+                return 'session';
+            }
+            
+            if (type === 'submit') {
+                this._submit(path, context.method, context.body, context.form, context.submitter, { replay: true });
+            } else {
+                this._navigate(path, { replay: true });
+            }
+            return 'session';
+        }
+
+        _errorPolicy(status) {
+            const policies = this._config.ERROR_POLICIES || {};
+            const policy = (status && (policies[status] ?? policies[`${String(status)[0]}xx`])) ??
+                           policies.default ??
+                           'reload';
+            
+            return typeof policy === 'string' ? { action: policy } : policy;
+        }
+
+        async _renderError(error, path, renderOptions) {
+            const status = error.context?.status ?? null;
+            const custom = this._config.ERROR_TEMPLATE?.({ status, path, error, page: error.page || null });
+            const page = custom ? { html: custom, fragment: true } : error.page;
+            if (!page) return null;
+            
+            try {
+                await this._render(page, path, { ...renderOptions, mount: false });
+                return 'render';
+            } catch (renderError) {
+                if (renderError.context?.cancelled) return 'cancelled';
+                
+                // e.g. the error page has no container - let the browser show it
+                if (this._config.DEBUG) {
+                    console.warn('[SPARouter] Error page not rendered:', renderError.message);
+                }
+                return null;
+            }
+        }
+
         _recordError(error, context = {}) {
             this._metrics.errors++;
             
@@ -1048,10 +5052,24 @@
             }
             
             this._metrics.lastError = errorInfo;
+            this._telemetry.record('error', {
+                message: errorInfo.message,
+                status: errorInfo.context.status,
+                path: errorInfo.context.path,
+                action: errorInfo.context.action
+            });
             
             this._emit(CONFIG.EVENTS.ERROR, errorInfo);
         }
 
+        /**
+         * Last resort: full page load (reported as a fallback)
+         */
+        _fallbackTo(url, error, action) {
+            this._telemetry.record('fallback', { url, action, message: error.message });
+            location.href = url;
+        }
+
         // ─────────────────────────────────────────────────────────────────────
         // UTILITIES
         // ─────────────────────────────────────────────────────────────────────